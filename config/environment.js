@@ -49,6 +49,25 @@ const environmentConfig = {
     watchlist: process.env.ENABLE_WATCHLIST !== 'false'
   },
 
+  // Real-time streaming configuration
+  realTime: {
+    websocketPath: process.env.WS_PATH || '/ws/prices',
+    heartbeatInterval: parseInt(process.env.WS_HEARTBEAT_INTERVAL) || 30000,
+    maxSymbolsPerClient: parseInt(process.env.WS_MAX_SYMBOLS) || 50,
+    sseHeartbeatInterval: parseInt(process.env.SSE_HEARTBEAT_INTERVAL) || 15000,
+    sseRetryDelay: parseInt(process.env.SSE_RETRY_DELAY) || 5000,
+    eventBufferSize: parseInt(process.env.STREAM_EVENT_BUFFER_SIZE) || 1000
+  },
+
+  // Alert evaluation configuration
+  alerts: {
+    schedule: process.env.ALERT_EVALUATION_SCHEDULE || '* * * * *', // Sweep every alert once a minute
+    evaluateOnQuote: process.env.ALERT_EVALUATE_ON_QUOTE !== 'false',
+    latencySamples: parseInt(process.env.ALERT_LATENCY_SAMPLES) || 500,
+    sweepSchedule: process.env.ALERT_SWEEP_SCHEDULE || '*/5 * * * *', // Expire, activate and purge alerts
+    cancelledRetentionDays: parseInt(process.env.ALERT_CANCELLED_RETENTION_DAYS) || 90
+  },
+
   // Performance configuration
   performance: {
     cacheEnabled: process.env.CACHE_ENABLED !== 'false',
@@ -178,6 +197,7 @@ export const {
   app,
   logging,
   features,
+  realTime,
   performance,
   monitoring
 } = environmentConfig;
@@ -195,6 +215,7 @@ export default {
   app,
   logging,
   features,
+  realTime,
   performance,
   monitoring
 };
\ No newline at end of file
@@ -4,6 +4,7 @@ export * from './auth.js';
 export * from './stockApi.js';
 export * from './cors.js';
 export * from './environment.js';
+export * from './marketHours.js';
 
 // Configuration initialization
 import { validateEnvironment } from './environment.js';
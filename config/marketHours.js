@@ -0,0 +1,121 @@
+// US equity market hours (exchange local time)
+const marketHoursConfig = {
+  timezone: 'America/New_York',
+  sessions: {
+    PRE_MARKET: { start: '04:00', end: '09:30' },
+    REGULAR: { start: '09:30', end: '16:00' },
+    AFTER_HOURS: { start: '16:00', end: '20:00' }
+  },
+  // Trading days, 0 = Sunday
+  tradingDays: [1, 2, 3, 4, 5]
+};
+
+// Market session names
+export const MARKET_SESSIONS = {
+  PRE_MARKET: 'PRE_MARKET',
+  REGULAR: 'REGULAR',
+  AFTER_HOURS: 'AFTER_HOURS',
+  CLOSED: 'CLOSED'
+};
+
+// Get market hours configuration
+export const getMarketHoursConfig = () => {
+  return marketHoursConfig;
+};
+
+// Convert 'HH:mm' to minutes after midnight
+export const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Get the weekday and minutes after midnight for a date in a time zone
+export const getZonedTime = (date = new Date(), timezone = marketHoursConfig.timezone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+
+  const lookup = Object.fromEntries(parts.map(part => [part.type, part.value]));
+  const weekdays = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+  return {
+    weekday: weekdays.indexOf(lookup.weekday),
+    minutes: parseInt(lookup.hour) * 60 + parseInt(lookup.minute)
+  };
+};
+
+// Get the calendar date ('YYYY-MM-DD') for a date in a time zone
+export const getZonedDate = (date = new Date(), timezone = marketHoursConfig.timezone) => {
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).format(date);
+};
+
+// Get a time zone's UTC offset in milliseconds at a given instant
+const getTimezoneOffset = (date, timezone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+
+  const lookup = Object.fromEntries(parts.map(part => [part.type, parseInt(part.value)]));
+  const asUtc = Date.UTC(lookup.year, lookup.month - 1, lookup.day, lookup.hour, lookup.minute, lookup.second);
+  return asUtc - (date.getTime() - date.getMilliseconds());
+};
+
+// Interpret 'YYYY-MM-DD HH:mm:ss' as wall-clock time in a time zone
+export const zonedTimeToDate = (localTime, timezone = marketHoursConfig.timezone) => {
+  const [datePart, timePart = '00:00:00'] = localTime.trim().split(/[ T]/);
+  const [year, month, day] = datePart.split('-').map(Number);
+  const [hour = 0, minute = 0, second = 0] = timePart.split(':').map(Number);
+
+  const guess = new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+  return new Date(guess.getTime() - getTimezoneOffset(guess, timezone));
+};
+
+// Get the market session for a point in time
+export const getMarketSession = (date = new Date()) => {
+  const config = getMarketHoursConfig();
+  const { weekday, minutes } = getZonedTime(date, config.timezone);
+
+  if (!config.tradingDays.includes(weekday)) {
+    return MARKET_SESSIONS.CLOSED;
+  }
+
+  for (const [session, hours] of Object.entries(config.sessions)) {
+    if (minutes >= toMinutes(hours.start) && minutes < toMinutes(hours.end)) {
+      return session;
+    }
+  }
+
+  return MARKET_SESSIONS.CLOSED;
+};
+
+// Check if the regular session is open
+export const isMarketOpen = (date = new Date()) => {
+  return getMarketSession(date) === MARKET_SESSIONS.REGULAR;
+};
+
+export default {
+  MARKET_SESSIONS,
+  getMarketHoursConfig,
+  getMarketSession,
+  getZonedTime,
+  getZonedDate,
+  zonedTimeToDate,
+  toMinutes,
+  isMarketOpen
+};
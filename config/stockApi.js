@@ -15,7 +15,8 @@ const stockApiConfig = {
       intraday: 'TIME_SERIES_INTRADAY',
       daily: 'TIME_SERIES_DAILY',
       weekly: 'TIME_SERIES_WEEKLY',
-      monthly: 'TIME_SERIES_MONTHLY'
+      monthly: 'TIME_SERIES_MONTHLY',
+      news: 'NEWS_SENTIMENT'
     }
   },
 
@@ -47,7 +48,9 @@ const stockApiConfig = {
       quote: '/stock/{symbol}/quote',
       company: '/stock/{symbol}/company',
       stats: '/stock/{symbol}/stats',
-      news: '/stock/{symbol}/news'
+      news: '/stock/{symbol}/news/last/{limit}',
+      search: '/search/{query}',
+      chart: '/stock/{symbol}/chart/{range}'
     }
   },
 
@@ -58,6 +61,21 @@ const stockApiConfig = {
     tertiary: 'iexCloud'
   },
 
+  // Offline market simulator for development and demos
+  simulated: {
+    // 'true' forces the simulator, 'false' disables it, unset uses it outside production when no API key is set
+    mode: process.env.MARKET_SIMULATOR,
+    seed: process.env.MARKET_SIMULATOR_SEED || 'stock-tracker',
+    symbols: (process.env.MARKET_SIMULATOR_SYMBOLS || 'AAPL,MSFT,GOOGL,AMZN,TSLA,NVDA,META,JPM,KO,XOM')
+      .split(',')
+      .map(symbol => symbol.trim().toUpperCase())
+      .filter(Boolean),
+    startDate: '2020-01-02', // First simulated trading day
+    regimeSwitchProbability: 0.05, // Daily chance of switching market regime
+    gapProbability: 0.04, // Daily chance of a large gap open
+    rateLimit: {} // Generated locally, no limits
+  },
+
   // Cache configuration
   cache: {
     ttl: 5 * 60 * 1000, // 5 minutes in milliseconds
@@ -65,6 +83,64 @@ const stockApiConfig = {
     checkPeriod: 60 * 1000 // Cleanup interval
   },
 
+  // Circuit breaker configuration (per provider)
+  circuitBreaker: {
+    failureThreshold: parseInt(process.env.PROVIDER_FAILURE_THRESHOLD) || 3,
+    cooldownMs: parseInt(process.env.PROVIDER_COOLDOWN_MS) || 60 * 1000
+  },
+
+  // Request scheduler, how long a queued call may wait for a rate limit token
+  scheduler: {
+    queueTimeouts: {
+      high: 15 * 1000,      // User-facing requests
+      normal: 60 * 1000,
+      low: 5 * 60 * 1000    // Background refresh
+    }
+  },
+
+  // Background quote refresh configuration
+  refresh: {
+    enabled: process.env.QUOTE_REFRESH_ENABLED !== 'false',
+    schedule: '* * * * *', // Tick every minute, intervals below decide when to run
+    batchSize: parseInt(process.env.QUOTE_REFRESH_BATCH_SIZE) || 5,
+    batchDelay: 1000, // Pause between batches in milliseconds
+    intervals: {
+      PRE_MARKET: 5 * 60 * 1000,   // 5 minutes
+      REGULAR: 60 * 1000,          // 1 minute
+      AFTER_HOURS: 5 * 60 * 1000,  // 5 minutes
+      CLOSED: 60 * 60 * 1000       // 1 hour
+    }
+  },
+
+  // Historical bar storage and backfill
+  history: {
+    pageSize: 500, // Default bars per history page
+    maxPageSize: 5000,
+    backfill: {
+      enabled: process.env.HISTORY_BACKFILL_ENABLED !== 'false',
+      schedule: '30 16 * * 1-5', // Weekdays after the close
+      timezone: 'America/New_York',
+      intervals: ['1d', '1w', '1mo'],
+      symbolDelay: 1000 // Pause between symbols in milliseconds
+    }
+  },
+
+  // Price ticks captured from quote updates and rolled up into bars
+  ticks: {
+    enabled: process.env.TICK_RECORDING_ENABLED !== 'false',
+    ttl: 3 * 24 * 60 * 60 * 1000, // Keep ticks for 3 days
+    flushInterval: 1000, // Batch tick writes every second
+    schedule: '* * * * *', // Roll ticks into bars every minute
+    intervals: ['1m', '5m', '15m', '1h', '1d']
+  },
+
+  // Corporate action follow-up (dividend factors, split adjustment proposals)
+  corporateActions: {
+    enabled: process.env.CORPORATE_ACTIONS_JOB_ENABLED !== 'false',
+    schedule: '0 7 * * 1-5', // Weekdays before the open
+    timezone: 'America/New_York'
+  },
+
   // Request configuration
   request: {
     timeout: 10000, // 10 seconds
@@ -79,9 +155,30 @@ export const getStockApiConfig = () => {
   return stockApiConfig;
 };
 
+// Check if any real provider has an API key
+const hasApiKeys = (config) => {
+  return !!(config.alphaVantage.apiKey || config.yahooFinance.apiKey || config.iexCloud.apiKey);
+};
+
+// Check if the offline market simulator may serve data
+export const isSimulatorEnabled = () => {
+  const config = getStockApiConfig();
+  const { mode } = config.simulated;
+
+  if (mode === 'true') return true;
+  if (mode === 'false') return false;
+
+  return process.env.NODE_ENV !== 'production' && !hasApiKeys(config);
+};
+
 // Get active API provider based on availability
 export const getActiveApiProvider = () => {
   const config = getStockApiConfig();
+
+  // An explicitly enabled simulator replaces the real providers
+  if (config.simulated.mode === 'true') {
+    return 'simulated';
+  }
   
   // Check which API keys are available
   const availableProviders = [];
@@ -105,6 +202,10 @@ export const getActiveApiProvider = () => {
     }
   }
 
+  if (isSimulatorEnabled()) {
+    return 'simulated';
+  }
+
   throw new Error('No stock API providers configured. Please set at least one API key.');
 };
 
@@ -128,7 +229,9 @@ export const validateApiConfig = () => {
   }
 
   // Check if any API is configured
-  if (!config.alphaVantage.apiKey && !config.yahooFinance.apiKey && !config.iexCloud.apiKey) {
+  if (isSimulatorEnabled()) {
+    warnings.push('Market simulator enabled. Stock data is simulated.');
+  } else if (!hasApiKeys(config)) {
     errors.push('No stock API keys configured. Please set at least one API key.');
   }
 
@@ -170,9 +273,9 @@ export const apiUtils = {
       }
     } else if (provider === 'iexCloud') {
       let endpointUrl = config.endpoints[endpoint];
-      if (params.symbol) {
-        endpointUrl = endpointUrl.replace('{symbol}', params.symbol);
-      }
+      Object.entries(params).forEach(([key, value]) => {
+        endpointUrl = endpointUrl.replace(`{${key}}`, encodeURIComponent(value));
+      });
       url += endpointUrl;
       url += `?token=${config.apiKey}`;
     }
@@ -183,6 +286,7 @@ export const apiUtils = {
   // Check if provider is available
   isProviderAvailable: (provider) => {
     const config = getStockApiConfig();
+    if (provider === 'simulated') return isSimulatorEnabled();
     return !!config[provider]?.apiKey;
   },
 
@@ -194,6 +298,7 @@ export const apiUtils = {
     if (config.alphaVantage.apiKey) providers.push('alphaVantage');
     if (config.yahooFinance.apiKey) providers.push('yahooFinance');
     if (config.iexCloud.apiKey) providers.push('iexCloud');
+    if (isSimulatorEnabled()) providers.push('simulated');
     
     return providers;
   }
@@ -202,6 +307,7 @@ export const apiUtils = {
 export default {
   getStockApiConfig,
   getActiveApiProvider,
+  isSimulatorEnabled,
   validateApiConfig,
   getRateLimit,
   apiUtils
@@ -1,6 +1,21 @@
 import Alert from '../models/Alert.js';
 import Stock from '../models/Stock.js';
 import User from '../models/User.js';
+import AlertEvent from '../models/AlertEvent.js';
+import mongoose from 'mongoose';
+import { describeCondition, getTrailingStopStatus, collectGroupSymbols, validateConditionGroup } from '../services/alertConditions.js';
+import { formatCurrency } from '../services/utils/formatters.js';
+import { toSessionStart } from '../services/corporateActions.js';
+import { runBacktest, BACKTEST_INTERVALS } from '../services/alertBacktest.js';
+import { getTemplateValues, parseTemplate } from '../services/alertTemplates.js';
+import {
+  MAX_IMPORT_ROWS,
+  toPortableAlert,
+  toCsv,
+  fromCsvRow,
+  readCsvRows,
+  getDuplicateKey
+} from '../services/alertTransfer.js';
 
 // @desc    Get user's alerts
 // @route   GET /api/alerts
@@ -25,6 +40,10 @@ export const getAlerts = async (req, res) => {
     if (type) {
       query['condition.type'] = type;
     }
+    
+    if (req.query.groupId) {
+      query.groupId = req.query.groupId;
+    }
 
     // Calculate pagination
     const pageNum = parseInt(page);
@@ -57,7 +76,12 @@ export const getAlerts = async (req, res) => {
       condition: {
         type: alert.condition.type,
         targetValue: alert.condition.targetValue,
-        description: getConditionDescription(alert.condition.type, alert.condition.targetValue)
+        parameters: alert.condition.parameters,
+        triggerMode: alert.condition.triggerMode,
+        description: getConditionDescription(alert.condition),
+        trailingStop: alert.condition.type === 'TRAILING_STOP'
+          ? getTrailingStopStatus(alert.condition, alert.stock?.currentPrice?.price)
+          : undefined
       },
       status: alert.status,
       priority: alert.priority,
@@ -67,6 +91,8 @@ export const getAlerts = async (req, res) => {
       notification: alert.notification,
       category: alert.category,
       tags: alert.tags,
+      groupId: alert.groupId,
+      evaluationWindow: alert.evaluationWindow,
       createdAt: alert.createdAt,
       updatedAt: alert.updatedAt
     }));
@@ -86,6 +112,7 @@ export const getAlerts = async (req, res) => {
         summary: {
           total,
           active: await Alert.countDocuments({ ...query, status: 'ACTIVE' }),
+          scheduled: await Alert.countDocuments({ ...query, status: 'SCHEDULED' }),
           triggered: await Alert.countDocuments({ ...query, status: 'TRIGGERED' })
         }
       }
@@ -104,18 +131,7 @@ export const getAlerts = async (req, res) => {
 // @route   POST /api/alerts
 export const createAlert = async (req, res) => {
   try {
-    const {
-      stockSymbol,
-      name,
-      description,
-      condition,
-      priority = 'MEDIUM',
-      notification = {},
-      category = 'PRICE_MOVEMENT',
-      tags = [],
-      startDate,
-      endDate
-    } = req.body;
+    const { stockSymbol } = req.body;
 
     // Check if stock exists
     const stock = await Stock.findBySymbol(stockSymbol);
@@ -130,7 +146,7 @@ export const createAlert = async (req, res) => {
     const user = await User.findById(req.user.id);
     const userAlertCount = await Alert.countDocuments({ 
       user: req.user.id, 
-      status: { $in: ['ACTIVE', 'TRIGGERED'] } 
+      status: { $in: ['SCHEDULED', 'ACTIVE', 'TRIGGERED'] } 
     });
 
     if (userAlertCount >= user.subscription.features.maxAlerts) {
@@ -141,31 +157,20 @@ export const createAlert = async (req, res) => {
     }
 
     // Create alert
-    const alert = new Alert({
-      user: req.user.id,
-      stock: stock._id,
-      stockSymbol: stockSymbol.toUpperCase(),
-      name,
-      description,
-      condition: {
-        type: condition.type,
-        targetValue: condition.targetValue,
-        parameters: condition.parameters || {}
-      },
-      priority,
-      notification: {
-        types: notification.types || ['IN_APP'],
-        frequency: notification.frequency || 'ONCE',
-        maxSends: notification.maxSends || 1,
-        cooldownMinutes: notification.cooldownMinutes || 0,
-        messageTemplate: notification.messageTemplate
-      },
-      category,
-      tags,
-      startDate: startDate ? new Date(startDate) : new Date(),
-      endDate: endDate ? new Date(endDate) : null,
-      expiresAt: endDate ? new Date(endDate) : null
-    });
+    const alert = buildAlert(req.user.id, stock, req.body);
+
+    const unknownSymbols = await findUnknownGroupSymbols(alert.condition.group);
+    if (unknownSymbols.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown symbols in condition group: ${unknownSymbols.join(', ')}`
+      });
+    }
+
+    // Trailing stops start from the anchor date's high or the current price
+    if (alert.condition.type === 'TRAILING_STOP') {
+      await alert.seedTrailingPeak(stock.currentPrice?.price);
+    }
 
     await alert.save();
 
@@ -176,6 +181,9 @@ export const createAlert = async (req, res) => {
     const alertData = alert.toObject();
     alertData.conditionDescription = alert.conditionDescription;
     alertData.canTriggerAgain = alert.canTriggerAgain;
+    if (alert.condition.type === 'TRAILING_STOP') {
+      alertData.trailingStop = getTrailingStopStatus(alert.condition, alert.stock?.currentPrice?.price);
+    }
 
     res.status(201).json({
       success: true,
@@ -223,7 +231,8 @@ export const updateAlert = async (req, res) => {
       category,
       tags,
       startDate,
-      endDate
+      endDate,
+      evaluationWindow
     } = req.body;
 
     const alert = await Alert.findOne({
@@ -246,6 +255,14 @@ export const updateAlert = async (req, res) => {
       });
     }
 
+    const unknownSymbols = await findUnknownGroupSymbols(condition?.group);
+    if (unknownSymbols.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown symbols in condition group: ${unknownSymbols.join(', ')}`
+      });
+    }
+
     // Update fields
     if (name !== undefined) alert.name = name;
     if (description !== undefined) alert.description = description;
@@ -254,15 +271,36 @@ export const updateAlert = async (req, res) => {
     if (tags !== undefined) alert.tags = tags;
     if (startDate !== undefined) alert.startDate = new Date(startDate);
     if (endDate !== undefined) {
-      alert.endDate = new Date(endDate);
-      alert.expiresAt = new Date(endDate);
+      alert.endDate = endDate ? new Date(endDate) : null;
+      alert.expiresAt = alert.endDate;
+
+      // Clearing an expired alert's end date or moving it into the future brings the alert back.
+      // The save hook moves it on to SCHEDULED if its start date hasn't arrived.
+      if (alert.status === 'EXPIRED' && (!alert.endDate || alert.endDate > new Date())) {
+        alert.status = 'ACTIVE';
+        alert.isActive = true;
+      }
     }
+    if (evaluationWindow !== undefined) alert.evaluationWindow = evaluationWindow;
 
     // Update condition if provided
     if (condition) {
       if (condition.type) alert.condition.type = condition.type;
       if (condition.targetValue) alert.condition.targetValue = condition.targetValue;
       if (condition.parameters) alert.condition.parameters = condition.parameters;
+      if (condition.triggerMode) alert.condition.triggerMode = condition.triggerMode;
+      if (condition.rearmPercent !== undefined) alert.condition.rearmPercent = condition.rearmPercent;
+      if (condition.group) alert.condition.group = condition.group;
+      if (condition.trailing?.anchorDate !== undefined) {
+        alert.condition.trailing.anchorDate = condition.trailing.anchorDate ? toSessionStart(condition.trailing.anchorDate) : null;
+      }
+
+      // A changed trailing stop tracks its peak afresh
+      const trailingPaths = ['condition.type', 'condition.targetValue', 'condition.parameters', 'condition.trailing.anchorDate'];
+      if (alert.condition.type === 'TRAILING_STOP' && trailingPaths.some(path => alert.isModified(path))) {
+        const stock = await Stock.findById(alert.stock).select('currentPrice');
+        await alert.seedTrailingPeak(stock?.currentPrice?.price);
+      }
     }
 
     // Update notification settings if provided
@@ -283,6 +321,9 @@ export const updateAlert = async (req, res) => {
     alertData.conditionDescription = alert.conditionDescription;
     alertData.canTriggerAgain = alert.canTriggerAgain;
     alertData.isExpired = alert.isExpired;
+    if (alert.condition.type === 'TRAILING_STOP') {
+      alertData.trailingStop = getTrailingStopStatus(alert.condition, alert.stock?.currentPrice?.price);
+    }
 
     res.json({
       success: true,
@@ -378,7 +419,8 @@ export const resetAlert = async (req, res) => {
           id: alert._id,
           name: alert.name,
           status: alert.status,
-          triggerCount: alert.triggerCount
+          triggerCount: alert.triggerCount,
+          nextTriggerTime: alert.nextTriggerTime
         }
       }
     });
@@ -392,28 +434,849 @@ export const resetAlert = async (req, res) => {
   }
 };
 
-// Helper function to generate condition description
-function getConditionDescription(type, targetValue) {
-  const descriptions = {
-    'PRICE_ABOVE': `Price above $${targetValue}`,
-    'PRICE_BELOW': `Price below $${targetValue}`,
-    'PRICE_PERCENT_UP': `Price up ${targetValue}%`,
-    'PRICE_PERCENT_DOWN': `Price down ${targetValue}%`,
-    'VOLUME_ABOVE': `Volume above ${formatNumber(targetValue)}`,
-    'VOLUME_BELOW': `Volume below ${formatNumber(targetValue)}`,
-    'PRICE_CHANGE_UP': `Price change up $${targetValue}`,
-    'PRICE_CHANGE_DOWN': `Price change down $${targetValue}`
-  };
+// @desc    Get trigger history for one alert
+// @route   GET /api/alerts/:id/events
+export const getAlertEvents = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const alert = await Alert.findOne({ _id: id, user: req.user.id }).select('name stockSymbol');
+    if (!alert) {
+      return res.status(404).json({
+        success: false,
+        message: 'Alert not found'
+      });
+    }
+
+    const options = parseEventQuery(req.query);
+    if (options.error) {
+      return res.status(400).json({
+        success: false,
+        message: options.error
+      });
+    }
+
+    const page = await AlertEvent.findFeed(req.user.id, { ...options, alert: alert._id });
+
+    res.json({
+      success: true,
+      data: {
+        alert: { id: alert._id, name: alert.name, stockSymbol: alert.stockSymbol },
+        events: page.events,
+        count: page.events.length,
+        pagination: {
+          limit: options.limit,
+          hasMore: page.hasMore,
+          nextBefore: page.nextBefore
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get alert events error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching alert events'
+    });
+  }
+};
+
+// @desc    Get trigger history across all of the user's alerts
+// @route   GET /api/alerts/events
+export const getAlertEventFeed = async (req, res) => {
+  try {
+    const options = parseEventQuery(req.query);
+    if (options.error) {
+      return res.status(400).json({
+        success: false,
+        message: options.error
+      });
+    }
+
+    const page = await AlertEvent.findFeed(req.user.id, { ...options, symbol: req.query.symbol });
+
+    res.json({
+      success: true,
+      data: {
+        events: page.events,
+        count: page.events.length,
+        pagination: {
+          limit: options.limit,
+          hasMore: page.hasMore,
+          nextBefore: page.nextBefore
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get alert event feed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching alert events'
+    });
+  }
+};
+
+// @desc    Replay an unsaved alert over stored price history
+// @route   POST /api/alerts/backtest
+export const backtestAlert = async (req, res) => {
+  try {
+    const { stockSymbol, backtest = {} } = req.body;
+
+    const stock = await Stock.findBySymbol(stockSymbol);
+    if (!stock) {
+      return res.status(404).json({
+        success: false,
+        message: `Stock not found: ${stockSymbol}`
+      });
+    }
+
+    const to = backtest.to ? new Date(backtest.to) : new Date();
+    const from = backtest.from ? new Date(backtest.from) : new Date(to.getTime() - 365 * 24 * 60 * 60 * 1000);
+    const interval = backtest.interval || '1d';
+    const window = Math.min(Math.max(parseInt(backtest.window ?? 5) || 0, 0), 20);
+
+    if (isNaN(from) || isNaN(to) || from >= to) {
+      return res.status(400).json({
+        success: false,
+        message: 'from and to must be valid dates with from before to'
+      });
+    }
+
+    if (!BACKTEST_INTERVALS.includes(interval)) {
+      return res.status(400).json({
+        success: false,
+        message: `Interval must be one of: ${BACKTEST_INTERVALS.join(', ')}`
+      });
+    }
+
+    const unknownSymbols = await findUnknownGroupSymbols(req.body.condition?.group);
+    if (unknownSymbols.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown symbols in condition group: ${unknownSymbols.join(', ')}`
+      });
+    }
+
+    const alert = buildAlert(req.user.id, stock, req.body);
+    alert.stock = stock;
+    if (alert.condition.type === 'COMPOUND') alert.pinGroupSymbols();
+    await alert.validate();
+
+    const result = await runBacktest(alert, { from, to, interval, window });
+
+    res.json({
+      success: true,
+      data: {
+        condition: alert.conditionDescription,
+        ...result
+      }
+    });
+
+  } catch (error) {
+    console.error('Backtest alert error:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors
+      });
+    }
+
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error while backtesting alert'
+    });
+  }
+};
+
+// @desc    Render an unsaved alert's message as if it triggered now
+// @route   POST /api/alerts/preview
+export const previewAlertMessage = async (req, res) => {
+  try {
+    const { stockSymbol } = req.body;
+
+    const stock = await Stock.findBySymbol(stockSymbol);
+    if (!stock) {
+      return res.status(404).json({
+        success: false,
+        message: `Stock not found: ${stockSymbol}`
+      });
+    }
+
+    const alert = buildAlert(req.user.id, stock, req.body);
+
+    const template = alert.notification.messageTemplate;
+    if (template) {
+      try {
+        parseTemplate(template);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+    }
+
+    alert.stock = stock;
+    alert.user = await User.findById(req.user.id).select('username profile.firstName');
+    alert.triggeredAt = new Date();
+    alert.triggerData = { priceAtTrigger: stock.currentPrice?.price };
+    if (alert.condition.type === 'COMPOUND') alert.pinGroupSymbols();
+
+    res.json({
+      success: true,
+      data: {
+        message: alert.getNotificationMessage(),
+        template: alert.notification.messageTemplate || null,
+        values: getTemplateValues(alert)
+      }
+    });
+
+  } catch (error) {
+    console.error('Preview alert message error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while previewing alert message'
+    });
+  }
+};
+
+// @desc    Export the user's alerts as JSON or CSV
+// @route   GET /api/alerts/export
+export const exportAlerts = async (req, res) => {
+  try {
+    const { format = 'json', status } = req.query;
+
+    if (!['json', 'csv'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Format must be json or csv'
+      });
+    }
+
+    const query = { user: req.user.id, status: { $ne: 'CANCELLED' } };
+    if (status && status !== 'ALL') query.status = status;
+
+    const alerts = await Alert.find(query).sort({ createdAt: 1 }).lean();
+    const portable = alerts.map(toPortableAlert);
+    const filename = `alerts-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+    res.attachment(filename);
+
+    if (format === 'csv') {
+      return res.type('text/csv').send(toCsv(portable));
+    }
+
+    res.json({
+      version: 1,
+      exportedAt: new Date(),
+      count: portable.length,
+      alerts: portable
+    });
+
+  } catch (error) {
+    console.error('Export alerts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while exporting alerts'
+    });
+  }
+};
+
+// @desc    Import alerts from JSON or CSV, optionally as a dry run
+// @route   POST /api/alerts/import
+export const importAlerts = async (req, res) => {
+  try {
+    const { format = 'json', data } = req.body;
+    const dryRun = [true, 'true'].includes(req.body.dryRun ?? req.query.dryRun);
+
+    let payloads;
+    try {
+      if (format === 'csv') {
+        payloads = readCsvRows(String(data ?? '')).map(cells => {
+          try {
+            return fromCsvRow(cells);
+          } catch (error) {
+            return { error: error.message };
+          }
+        });
+      } else if (format === 'json') {
+        payloads = Array.isArray(data) ? data : data?.alerts;
+        if (!Array.isArray(payloads)) throw new Error('JSON imports need an array of alerts or an export file');
+      } else {
+        throw new Error('Format must be json or csv');
+      }
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (payloads.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({
+        success: false,
+        message: `Imports are limited to ${MAX_IMPORT_ROWS} alerts`
+      });
+    }
+
+    const user = await User.findById(req.user.id);
+    const existing = await Alert.find({
+      user: req.user.id,
+      status: { $in: ['SCHEDULED', 'ACTIVE', 'TRIGGERED', 'DISABLED'] }
+    }).select('stockSymbol status condition.type condition.targetValue condition.parameters condition.group').lean();
+
+    const maxAlerts = user.subscription.features.maxAlerts;
+    const counted = existing.filter(alert => alert.status !== 'DISABLED').length;
+    let remaining = Math.max(0, maxAlerts - counted);
+
+    const seen = new Set(existing.map(getDuplicateKey));
+    const symbols = [...new Set(payloads.map(payload => payload?.stockSymbol).filter(symbol => typeof symbol === 'string'))];
+    const stocks = new Map((await Stock.findBySymbols(symbols)).map(stock => [stock.symbol, stock]));
+
+    const rows = [];
+
+    for (const [index, payload] of payloads.entries()) {
+      const row = { row: index + 1, stockSymbol: payload?.stockSymbol, name: payload?.name };
+      rows.push(row);
+
+      if (!payload || typeof payload !== 'object' || payload.error) {
+        row.status = 'invalid';
+        row.errors = [payload?.error || 'Row must be an alert object'];
+        continue;
+      }
+
+      const stock = stocks.get(String(payload.stockSymbol).toUpperCase());
+      if (!stock) {
+        row.status = 'invalid';
+        row.errors = [`Stock not found: ${payload.stockSymbol}`];
+        continue;
+      }
+
+      if (!payload.condition?.type) {
+        row.status = 'invalid';
+        row.errors = ['Condition type is required'];
+        continue;
+      }
+
+      let alert;
+      try {
+        alert = buildAlert(req.user.id, stock, payload);
+        if (alert.condition.type === 'COMPOUND' && alert.condition.group) alert.pinGroupSymbols();
+        await alert.validate();
+
+        const unknownSymbols = await findUnknownGroupSymbols(alert.condition.group);
+        if (unknownSymbols.length > 0) {
+          throw new Error(`Unknown symbols in condition group: ${unknownSymbols.join(', ')}`);
+        }
+      } catch (error) {
+        row.status = 'invalid';
+        row.errors = error.name === 'ValidationError'
+          ? Object.values(error.errors).map(err => err.message)
+          : [error.message];
+        continue;
+      }
+
+      const key = getDuplicateKey(alert);
+      if (seen.has(key)) {
+        row.status = 'duplicate';
+        continue;
+      }
+      seen.add(key);
+
+      if (remaining === 0) {
+        row.status = 'over_limit';
+        row.errors = [`Alert limit reached. Maximum ${maxAlerts} alerts allowed.`];
+        continue;
+      }
+      remaining -= 1;
+
+      if (dryRun) {
+        row.status = 'valid';
+        continue;
+      }
+
+      try {
+        if (alert.condition.type === 'TRAILING_STOP') {
+          await alert.seedTrailingPeak(stock.currentPrice?.price);
+        }
+        await alert.save();
+        row.status = 'created';
+        row.id = alert._id;
+      } catch (error) {
+        remaining += 1;
+        row.status = 'failed';
+        row.errors = [error.message];
+      }
+    }
+
+    const summary = rows.reduce((acc, row) => {
+      acc[row.status] = (acc[row.status] || 0) + 1;
+      return acc;
+    }, { total: rows.length });
+
+    res.status(dryRun ? 200 : 201).json({
+      success: true,
+      message: dryRun ? 'Import checked, nothing was saved' : `Imported ${summary.created || 0} alerts`,
+      data: {
+        dryRun,
+        summary,
+        rows
+      }
+    });
+
+  } catch (error) {
+    console.error('Import alerts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while importing alerts'
+    });
+  }
+};
+
+// Tag on alerts made from watchlist target prices, group condition edits leave them alone
+const WATCHLIST_TARGET_TAG = 'watchlist-target';
+
+// @desc    Create a group of alerts across the user's watchlist
+// @route   POST /api/alerts/watchlist
+export const createWatchlistAlerts = async (req, res) => {
+  try {
+    const { rule, includeTargets = false, symbols } = req.body;
+
+    if (!rule && !includeTargets) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide a rule, includeTargets, or both'
+      });
+    }
+
+    if (rule && !rule.condition?.type) {
+      return res.status(400).json({
+        success: false,
+        message: 'Rule condition type is required'
+      });
+    }
+
+    const user = await User.findById(req.user.id);
+    const wanted = Array.isArray(symbols) ? symbols.map(symbol => String(symbol).toUpperCase()) : null;
+    const items = user.watchlist.filter(item => !wanted || wanted.includes(item.symbol));
+
+    if (items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No watchlist symbols to create alerts for'
+      });
+    }
+
+    const stocks = new Map((await Stock.findBySymbols(items.map(item => item.symbol))).map(stock => [stock.symbol, stock]));
+    const existing = await Alert.find({
+      user: req.user.id,
+      status: { $in: ['SCHEDULED', 'ACTIVE', 'TRIGGERED', 'DISABLED'] }
+    }).select('stockSymbol condition.type condition.targetValue condition.parameters condition.group').lean();
+    const seen = new Set(existing.map(getDuplicateKey));
+
+    const shared = rule ? {
+      priority: rule.priority,
+      notification: rule.notification,
+      evaluationWindow: rule.evaluationWindow,
+      endDate: rule.endDate
+    } : {};
+
+    const alerts = [];
+    const skipped = [];
+    const errors = [];
+
+    const add = async (stock, payload) => {
+      const alert = buildAlert(req.user.id, stock, payload);
+      if (alert.condition.type === 'COMPOUND' && alert.condition.group) alert.pinGroupSymbols();
+
+      try {
+        await alert.validate();
+
+        const unknownSymbols = await findUnknownGroupSymbols(alert.condition.group);
+        if (unknownSymbols.length > 0) {
+          throw new Error(`Unknown symbols in condition group: ${unknownSymbols.join(', ')}`);
+        }
+      } catch (error) {
+        errors.push({
+          symbol: stock.symbol,
+          errors: error.name === 'ValidationError' ? Object.values(error.errors).map(err => err.message) : [error.message]
+        });
+        return;
+      }
+
+      const key = getDuplicateKey(alert);
+      if (seen.has(key)) {
+        skipped.push({ symbol: stock.symbol, name: alert.name, reason: 'duplicate' });
+        return;
+      }
+
+      seen.add(key);
+      alerts.push(alert);
+    };
+
+    for (const item of items) {
+      const stock = stocks.get(item.symbol);
+      if (!stock) {
+        skipped.push({ symbol: item.symbol, reason: 'stock not found' });
+        continue;
+      }
+
+      if (rule) {
+        // Each alert gets its own copy, group conditions are pinned to the alert's stock
+        const condition = JSON.parse(JSON.stringify(rule.condition));
+        await add(stock, {
+          ...rule,
+          name: `${stock.symbol}: ${rule.name || describeCondition(condition)}`,
+          condition
+        });
+      }
+
+      if (includeTargets && item.targetPrice) {
+        const price = stock.currentPrice?.price;
+        if (!price) {
+          skipped.push({ symbol: item.symbol, reason: 'no current price to compare the target with' });
+          continue;
+        }
+
+        await add(stock, {
+          ...shared,
+          name: `${stock.symbol}: target ${formatCurrency(item.targetPrice)}`,
+          condition: {
+            type: item.targetPrice >= price ? 'PRICE_ABOVE' : 'PRICE_BELOW',
+            targetValue: item.targetPrice
+          },
+          tags: [WATCHLIST_TARGET_TAG]
+        });
+      }
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors
+      });
+    }
+
+    // Nothing to create, so no group either
+    if (alerts.length === 0) {
+      return res.status(200).json({
+        success: true,
+        message: 'No alerts created, every watchlist item was skipped',
+        data: {
+          groupId: null,
+          alerts: [],
+          skipped
+        }
+      });
+    }
+
+    const current = await Alert.countDocuments({
+      user: req.user.id,
+      status: { $in: ['SCHEDULED', 'ACTIVE', 'TRIGGERED'] }
+    });
+    const maxAlerts = user.subscription.features.maxAlerts;
+
+    if (current + alerts.length > maxAlerts) {
+      return res.status(400).json({
+        success: false,
+        message: `Alert limit reached. ${alerts.length} alerts needed but only ${Math.max(0, maxAlerts - current)} of ${maxAlerts} remain.`
+      });
+    }
+
+    // The group is created whole or not at all
+    const groupId = new mongoose.Types.ObjectId();
+    try {
+      for (const alert of alerts) {
+        alert.groupId = groupId;
+        if (alert.condition.type === 'TRAILING_STOP') {
+          await alert.seedTrailingPeak(stocks.get(alert.stockSymbol).currentPrice?.price);
+        }
+        await alert.save();
+      }
+    } catch (error) {
+      await Alert.deleteMany({ user: req.user.id, groupId });
+      throw error;
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Created ${alerts.length} alerts`,
+      data: {
+        groupId,
+        alerts: alerts.map(alert => ({
+          id: alert._id,
+          name: alert.name,
+          stockSymbol: alert.stockSymbol,
+          status: alert.status,
+          condition: describeCondition(alert.condition)
+        })),
+        skipped
+      }
+    });
+
+  } catch (error) {
+    console.error('Create watchlist alerts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating watchlist alerts'
+    });
+  }
+};
 
-  return descriptions[type] || 'Custom condition';
+// @desc    Edit every alert in a group
+// @route   PUT /api/alerts/groups/:groupId
+export const updateAlertGroup = async (req, res) => {
+  try {
+    const { priority, notification, evaluationWindow, endDate, condition } = req.body;
+
+    const alerts = await Alert.find({ user: req.user.id, groupId: req.params.groupId });
+    if (alerts.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Alert group not found'
+      });
+    }
+
+    const unknownSymbols = await findUnknownGroupSymbols(condition?.group);
+    if (unknownSymbols.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown symbols in condition group: ${unknownSymbols.join(', ')}`
+      });
+    }
+
+    for (const alert of alerts) {
+      if (priority !== undefined) alert.priority = priority;
+      if (evaluationWindow !== undefined) alert.evaluationWindow = evaluationWindow;
+      if (endDate !== undefined) {
+        alert.endDate = endDate ? new Date(endDate) : null;
+        alert.expiresAt = alert.endDate;
+
+        if (alert.status === 'EXPIRED' && (!alert.endDate || alert.endDate > new Date())) {
+          alert.status = 'ACTIVE';
+          alert.isActive = true;
+        }
+      }
+
+      if (notification) {
+        if (notification.types) alert.notification.types = notification.types;
+        if (notification.frequency) alert.notification.frequency = notification.frequency;
+        if (notification.maxSends) alert.notification.maxSends = notification.maxSends;
+        if (notification.cooldownMinutes !== undefined) alert.notification.cooldownMinutes = notification.cooldownMinutes;
+        if (notification.messageTemplate !== undefined) alert.notification.messageTemplate = notification.messageTemplate;
+      }
+
+      // Condition changes are for the rule's alerts, target price alerts keep their own targets
+      if (condition && !alert.tags.includes(WATCHLIST_TARGET_TAG)) {
+        if (condition.targetValue !== undefined) alert.condition.targetValue = condition.targetValue;
+        if (condition.parameters) alert.condition.parameters = condition.parameters;
+        if (condition.triggerMode) alert.condition.triggerMode = condition.triggerMode;
+        if (condition.rearmPercent !== undefined) alert.condition.rearmPercent = condition.rearmPercent;
+        if (condition.group) alert.condition.group = JSON.parse(JSON.stringify(condition.group));
+      }
+
+      await alert.validate();
+    }
+
+    for (const alert of alerts) {
+      await alert.save();
+    }
+
+    res.json({
+      success: true,
+      message: `Updated ${alerts.length} alerts`,
+      data: {
+        groupId: req.params.groupId,
+        updated: alerts.length
+      }
+    });
+
+  } catch (error) {
+    console.error('Update alert group error:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating alert group'
+    });
+  }
+};
+
+// @desc    Pause or resume every alert in a group
+// @route   POST /api/alerts/groups/:groupId/toggle
+export const toggleAlertGroup = async (req, res) => {
+  try {
+    const alerts = await Alert.find({
+      user: req.user.id,
+      groupId: req.params.groupId,
+      status: { $in: ['SCHEDULED', 'ACTIVE', 'DISABLED'] }
+    });
+
+    if (alerts.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Alert group not found or has nothing to pause or resume'
+      });
+    }
+
+    // Without an explicit choice, pause the group if anything in it is running
+    const enable = req.body.isActive ?? !alerts.some(alert => alert.status !== 'DISABLED');
+
+    for (const alert of alerts) {
+      if (enable && alert.status === 'DISABLED') await alert.enable();
+      if (!enable && alert.status !== 'DISABLED') await alert.disable();
+    }
+
+    res.json({
+      success: true,
+      message: enable ? 'Alert group resumed' : 'Alert group paused',
+      data: {
+        groupId: req.params.groupId,
+        isActive: enable,
+        count: alerts.length
+      }
+    });
+
+  } catch (error) {
+    console.error('Toggle alert group error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while toggling alert group'
+    });
+  }
+};
+
+// @desc    Delete every alert in a group
+// @route   DELETE /api/alerts/groups/:groupId
+export const deleteAlertGroup = async (req, res) => {
+  try {
+    const { deletedCount } = await Alert.deleteMany({ user: req.user.id, groupId: req.params.groupId });
+
+    if (deletedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Alert group not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Alert group deleted successfully',
+      data: {
+        groupId: req.params.groupId,
+        deleted: deletedCount
+      }
+    });
+
+  } catch (error) {
+    console.error('Delete alert group error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting alert group'
+    });
+  }
+};
+
+// Helper function to find symbols in a condition group with no stored stock.
+// Groups that are missing or malformed are left to schema validation.
+async function findUnknownGroupSymbols(group) {
+  if (!group) return [];
+
+  try {
+    validateConditionGroup(group);
+  } catch {
+    return [];
+  }
+
+  const symbols = collectGroupSymbols(group).filter(Boolean).map(symbol => symbol.toUpperCase());
+  if (symbols.length === 0) return [];
+
+  const known = await Stock.distinct('symbol', { symbol: { $in: symbols } });
+  return symbols.filter(symbol => !known.includes(symbol));
 }
 
-// Helper function to format large numbers
-function formatNumber(num) {
-  if (num >= 1000000) {
-    return (num / 1000000).toFixed(1) + 'M';
-  } else if (num >= 1000) {
-    return (num / 1000).toFixed(1) + 'K';
+// Helper function to build an alert document from a create payload
+function buildAlert(userId, stock, body) {
+  const {
+    name,
+    description,
+    condition,
+    priority = 'MEDIUM',
+    notification = {},
+    category = 'PRICE_MOVEMENT',
+    tags = [],
+    startDate,
+    endDate,
+    evaluationWindow
+  } = body;
+
+  return new Alert({
+    user: userId,
+    stock: stock._id,
+    stockSymbol: stock.symbol,
+    name,
+    description,
+    condition: {
+      type: condition.type,
+      targetValue: condition.targetValue,
+      triggerMode: condition.triggerMode,
+      rearmPercent: condition.rearmPercent,
+      group: condition.group,
+      trailing: { anchorDate: condition.trailing?.anchorDate ? toSessionStart(condition.trailing.anchorDate) : null },
+      parameters: condition.parameters || {}
+    },
+    priority,
+    notification: {
+      types: notification.types || ['IN_APP'],
+      frequency: notification.frequency || 'ONCE',
+      maxSends: notification.maxSends || 1,
+      cooldownMinutes: notification.cooldownMinutes || 0,
+      messageTemplate: notification.messageTemplate
+    },
+    category,
+    tags,
+    startDate: startDate ? new Date(startDate) : new Date(),
+    endDate: endDate ? new Date(endDate) : null,
+    expiresAt: endDate ? new Date(endDate) : null,
+    evaluationWindow
+  });
+}
+
+// Helper function to read paging and date filters for event history
+function parseEventQuery({ from, to, before, limit }) {
+  const fromDate = from ? new Date(from) : null;
+  const toDate = to ? new Date(to) : null;
+
+  if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+    return { error: 'from and to must be valid dates' };
   }
-  return num.toString();
+
+  if (before && !mongoose.Types.ObjectId.isValid(before)) {
+    return { error: 'before must be an event id' };
+  }
+
+  return {
+    from: fromDate,
+    to: toDate,
+    before: before || null,
+    limit: Math.min(parseInt(limit) || 50, 200)
+  };
+}
+
+// Helper function to generate condition description
+function getConditionDescription(condition) {
+  return describeCondition(condition);
 }
\ No newline at end of file
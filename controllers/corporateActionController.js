@@ -0,0 +1,185 @@
+import CorporateAction from '../models/CorporateAction.js';
+import SplitAdjustment from '../models/SplitAdjustment.js';
+import { recordCorporateAction, applySplitAdjustment } from '../services/corporateActions.js';
+
+// @desc    Get splits and dividends for a stock
+// @route   GET /api/stocks/:symbol/corporate-actions
+export const getCorporateActions = async (req, res) => {
+  try {
+    const { symbol } = req.params;
+    const { type } = req.query;
+
+    const actions = await CorporateAction.findBySymbol(symbol);
+    const filtered = type ? actions.filter(action => action.type === type.toUpperCase()) : actions;
+
+    res.json({
+      success: true,
+      data: {
+        symbol: symbol.toUpperCase(),
+        actions: filtered,
+        count: filtered.length
+      }
+    });
+
+  } catch (error) {
+    console.error('Get corporate actions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching corporate actions'
+    });
+  }
+};
+
+// @desc    Record a split or cash dividend
+// @route   POST /api/stocks/:symbol/corporate-actions
+export const createCorporateAction = async (req, res) => {
+  try {
+    const { symbol } = req.params;
+    const { type, exDate, splitRatio, amount, currency, notes } = req.body;
+
+    if (exDate && isNaN(new Date(exDate))) {
+      return res.status(400).json({
+        success: false,
+        message: 'exDate must be a valid date'
+      });
+    }
+
+    const action = await recordCorporateAction(symbol, {
+      type: type?.toUpperCase(),
+      exDate,
+      splitRatio,
+      amount,
+      currency,
+      notes
+    }, req.user._id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Corporate action recorded',
+      data: { action }
+    });
+
+  } catch (error) {
+    console.error('Create corporate action error:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'This corporate action is already recorded'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while recording corporate action'
+    });
+  }
+};
+
+// @desc    Get pending split adjustment proposals for the user
+// @route   GET /api/corporate-actions/adjustments
+export const getSplitAdjustments = async (req, res) => {
+  try {
+    const adjustments = await SplitAdjustment.findPendingByUser(req.user._id);
+
+    res.json({
+      success: true,
+      data: {
+        adjustments,
+        count: adjustments.length
+      }
+    });
+
+  } catch (error) {
+    console.error('Get split adjustments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching split adjustments'
+    });
+  }
+};
+
+// @desc    Apply a split adjustment proposal
+// @route   POST /api/corporate-actions/adjustments/:id/apply
+export const applyAdjustment = async (req, res) => {
+  try {
+    const proposal = await SplitAdjustment.findOne({ _id: req.params.id, user: req.user._id });
+
+    if (!proposal) {
+      return res.status(404).json({
+        success: false,
+        message: 'Adjustment not found'
+      });
+    }
+
+    if (proposal.status !== 'PENDING') {
+      return res.status(400).json({
+        success: false,
+        message: `Adjustment is already ${proposal.status.toLowerCase()}`
+      });
+    }
+
+    const resolved = await applySplitAdjustment(proposal);
+
+    res.json({
+      success: true,
+      message: resolved.status === 'APPLIED'
+        ? 'Target rescaled for the split'
+        : 'Target changed since the proposal, nothing was updated',
+      data: { adjustment: resolved }
+    });
+
+  } catch (error) {
+    console.error('Apply split adjustment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while applying split adjustment'
+    });
+  }
+};
+
+// @desc    Dismiss a split adjustment proposal
+// @route   POST /api/corporate-actions/adjustments/:id/dismiss
+export const dismissAdjustment = async (req, res) => {
+  try {
+    const proposal = await SplitAdjustment.findOne({ _id: req.params.id, user: req.user._id });
+
+    if (!proposal) {
+      return res.status(404).json({
+        success: false,
+        message: 'Adjustment not found'
+      });
+    }
+
+    if (proposal.status !== 'PENDING') {
+      return res.status(400).json({
+        success: false,
+        message: `Adjustment is already ${proposal.status.toLowerCase()}`
+      });
+    }
+
+    await proposal.resolve('DISMISSED');
+
+    res.json({
+      success: true,
+      message: 'Adjustment dismissed',
+      data: { adjustment: proposal }
+    });
+
+  } catch (error) {
+    console.error('Dismiss split adjustment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while dismissing split adjustment'
+    });
+  }
+};
@@ -4,4 +4,6 @@ export * from './userController.js';
 export * from './stockController.js';
 export * from './watchlistController.js';
 export * from './alertController.js';
-export * from './notificationController.js';
\ No newline at end of file
+export * from './notificationController.js';
+export * from './streamController.js';
+export * from './corporateActionController.js';
\ No newline at end of file
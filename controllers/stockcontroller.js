@@ -1,7 +1,9 @@
 import Stock from '../models/Stock.js';
-import { StockDataService } from '../services/stockService.js';
-
-const stockService = new StockDataService();
+import { BAR_INTERVALS } from '../models/PriceBar.js';
+import { stockDataService, applyOverview, createStockRecord } from '../services/stockService.js';
+import { getBars, backfillHistory } from '../services/historyService.js';
+import { INDICATORS, getIndicator } from '../services/indicators.js';
+import { getStockApiConfig } from '../config/stockApi.js';
 
 // @desc    Get stock data by symbol
 // @route   GET /api/stocks/:symbol
@@ -17,93 +19,35 @@ export const getStock = async (req, res) => {
     // If stock doesn't exist or we need fresh data, fetch from API
     if (!stock || shouldRefresh || (stock && isDataStale(stock.currentPrice.lastUpdated))) {
       try {
-        const freshData = await stockService.fetchFromAlphaVantage(symbol);
-        const companyOverview = await stockService.fetchCompanyOverview(symbol);
-
-        if (stock) {
-          // Update existing stock
-          await stock.updateCurrentPrice({
-            price: freshData.price,
-            change: freshData.change,
-            changePercent: freshData.changePercent
-          });
-
-          await stock.updateDailyData({
-            open: freshData.open,
-            high: freshData.high,
-            low: freshData.low,
-            close: freshData.price,
-            volume: freshData.volume,
-            previousClose: freshData.previousClose
-          });
+        const quote = await stockDataService.getQuote(symbol);
+        const companyOverview = await stockDataService.getOverview(symbol).catch(error => {
+          console.warn(`Overview unavailable for ${symbol}:`, error.message);
+          return null;
+        });
 
-          if (companyOverview) {
-            stock.companyInfo = {
-              ...stock.companyInfo,
-              sector: companyOverview.sector,
-              industry: companyOverview.industry,
-              description: companyOverview.description,
-              CEO: companyOverview.CEO,
-              employees: companyOverview.employees,
-              country: companyOverview.country
-            };
-
-            stock.historicalSummary = {
-              week52High: companyOverview.week52High,
-              week52Low: companyOverview.week52Low,
-              marketCap: companyOverview.marketCap,
-              peRatio: companyOverview.peRatio,
-              dividendYield: companyOverview.dividendYield,
-              avgVolume: freshData.volume
-            };
-          }
+        const isNewStock = !stock;
 
-          await stock.save();
+        if (isNewStock) {
+          stock = createStockRecord(quote, companyOverview);
         } else {
-          // Create new stock record
-          stock = new Stock({
-            symbol: freshData.symbol,
-            companyName: companyOverview?.companyName || symbol,
-            exchange: 'NASDAQ',
-            currency: 'USD',
-            currentPrice: {
-              price: freshData.price,
-              change: freshData.change,
-              changePercent: freshData.changePercent,
-              lastUpdated: new Date()
-            },
-            dailyData: {
-              open: freshData.open,
-              high: freshData.high,
-              low: freshData.low,
-              close: freshData.price,
-              volume: freshData.volume,
-              previousClose: freshData.previousClose,
-              date: new Date()
-            }
-          });
+          stock.currentPrice = quote.currentPrice;
+          stock.dataSource = quote.dataSource;
+
+          // Once we track a stock, its high and low come from our own ticks
+          stock.dailyData = { ...quote.dailyData, high: stock.dailyData?.high, low: stock.dailyData?.low };
 
           if (companyOverview) {
-            stock.companyInfo = {
-              sector: companyOverview.sector,
-              industry: companyOverview.industry,
-              description: companyOverview.description,
-              CEO: companyOverview.CEO,
-              employees: companyOverview.employees,
-              country: companyOverview.country
-            };
-
-            stock.historicalSummary = {
-              week52High: companyOverview.week52High,
-              week52Low: companyOverview.week52Low,
-              marketCap: companyOverview.marketCap,
-              peRatio: companyOverview.peRatio,
-              dividendYield: companyOverview.dividendYield,
-              avgVolume: freshData.volume
-            };
+            applyOverview(stock, companyOverview, quote);
           }
+        }
 
-          await stock.save();
+        await stock.save();
+
+        // Load daily history in the background so the 52-week range can be derived
+        if (isNewStock) {
+          backfillHistory(stock.symbol, '1d', { full: true }).catch(error => {
+            console.warn(`History backfill failed for ${stock.symbol}:`, error.message);
+          });
         }
 
         // Refetch to get the updated document with virtuals
@@ -149,6 +93,126 @@ export const getStock = async (req, res) => {
   }
 };
 
+// @desc    Get historical OHLCV bars for a stock
+// @route   GET /api/stocks/:symbol/history
+export const getStockHistory = async (req, res) => {
+  try {
+    const { symbol } = req.params;
+    const { interval = '1d', from, to, limit, adjusted = 'true' } = req.query;
+    const isAdjusted = adjusted !== 'false';
+
+    if (!BAR_INTERVALS.includes(interval)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid interval. Use one of: ${BAR_INTERVALS.join(', ')}`
+      });
+    }
+
+    const fromDate = from ? new Date(from) : null;
+    const toDate = to ? new Date(to) : null;
+
+    if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+      return res.status(400).json({
+        success: false,
+        message: 'from and to must be valid dates'
+      });
+    }
+
+    if (fromDate && toDate && fromDate > toDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'from must be before to'
+      });
+    }
+
+    const { pageSize, maxPageSize } = getStockApiConfig().history;
+    const pageLimit = Math.min(Math.max(parseInt(limit) || pageSize, 1), maxPageSize);
+
+    const page = await getBars(symbol, interval, {
+      from: fromDate,
+      to: toDate,
+      limit: pageLimit,
+      adjusted: isAdjusted
+    });
+
+    res.json({
+      success: true,
+      data: {
+        symbol: symbol.toUpperCase(),
+        interval,
+        adjusted: isAdjusted,
+        bars: page.bars,
+        count: page.bars.length,
+        pagination: {
+          limit: pageLimit,
+          hasMore: page.hasMore,
+          nextFrom: page.nextFrom
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get stock history error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error while fetching stock history'
+    });
+  }
+};
+
+// @desc    Get a technical indicator computed over stored history
+// @route   GET /api/stocks/:symbol/indicators
+export const getStockIndicators = async (req, res) => {
+  try {
+    const { symbol } = req.params;
+    const { type, interval = '1d', limit, to, ...params } = req.query;
+    const indicator = type?.toLowerCase();
+
+    if (!INDICATORS[indicator]) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid indicator type. Use one of: ${Object.keys(INDICATORS).join(', ')}`
+      });
+    }
+
+    if (!BAR_INTERVALS.includes(interval)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid interval. Use one of: ${BAR_INTERVALS.join(', ')}`
+      });
+    }
+
+    const toDate = to ? new Date(to) : undefined;
+    if (toDate && isNaN(toDate)) {
+      return res.status(400).json({
+        success: false,
+        message: 'to must be a valid date'
+      });
+    }
+
+    const { maxPageSize } = getStockApiConfig().history;
+    const result = await getIndicator(symbol, {
+      type: indicator,
+      interval,
+      limit: Math.min(Math.max(parseInt(limit) || 100, 1), maxPageSize),
+      to: toDate,
+      ...params
+    });
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Get stock indicators error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error while computing indicator'
+    });
+  }
+};
+
 // @desc    Search stocks by symbol or company name
 // @route   GET /api/stocks/search
 export const searchStocks = async (req, res) => {
@@ -170,7 +234,7 @@ export const searchStocks = async (req, res) => {
     }
 
     // Otherwise, search external API
-    const apiResults = await stockService.searchStocks(q);
+    const apiResults = await stockDataService.search(q);
     
     // Combine and deduplicate results
     const combinedResults = [...dbResults];
@@ -227,28 +291,16 @@ export const getBatchStocks = async (req, res) => {
     const fetchedStocks = [];
     for (const symbol of missingSymbols) {
       try {
-        const freshData = await stockService.fetchFromAlphaVantage(symbol);
-        
+        const quote = await stockDataService.getQuote(symbol);
+
         const newStock = new Stock({
-          symbol: freshData.symbol,
+          symbol: quote.symbol,
           companyName: symbol,
           exchange: 'NASDAQ',
           currency: 'USD',
-          currentPrice: {
-            price: freshData.price,
-            change: freshData.change,
-            changePercent: freshData.changePercent,
-            lastUpdated: new Date()
-          },
-          dailyData: {
-            open: freshData.open,
-            high: freshData.high,
-            low: freshData.low,
-            close: freshData.price,
-            volume: freshData.volume,
-            previousClose: freshData.previousClose,
-            date: new Date()
-          }
+          currentPrice: quote.currentPrice,
+          dailyData: quote.dailyData,
+          dataSource: quote.dataSource
         });
 
         await newStock.save();
@@ -0,0 +1,108 @@
+import Stock from '../models/Stock.js';
+import {
+  MARKET_EVENTS,
+  onMarketEvent,
+  isEventVisibleTo,
+  getLatestEventId,
+  getEventsSince
+} from '../services/marketEvents.js';
+import { getEnvironmentConfig } from '../config/environment.js';
+
+// Write one event in text/event-stream format
+const writeEvent = (res, event) => {
+  res.write(`id: ${event.id}\n`);
+  res.write(`event: ${event.type}\n`);
+  res.write(`data: ${JSON.stringify(event.data)}\n\n`);
+  if (typeof res.flush === 'function') res.flush();
+};
+
+// Send current quotes for the client's symbols, carrying the latest id so the client resumes from there.
+// Returns that id so events published while the quotes were read can be replayed.
+const writeSnapshot = async (res, client) => {
+  const id = getLatestEventId();
+  const stocks = await Stock.findBySymbols([...client.symbols]);
+
+  stocks.forEach(stock => writeEvent(res, {
+    id,
+    type: MARKET_EVENTS.QUOTE,
+    data: {
+      symbol: stock.symbol,
+      price: stock.currentPrice.price,
+      change: stock.currentPrice.change,
+      changePercent: stock.currentPrice.changePercent,
+      volume: stock.dailyData?.volume ?? null,
+      lastUpdated: stock.currentPrice.lastUpdated,
+      snapshot: true
+    }
+  }));
+
+  return id;
+};
+
+// @desc    Stream quotes, alert triggers and notifications (SSE)
+// @route   GET /api/stream
+export const streamEvents = async (req, res) => {
+  try {
+    const { realTime } = getEnvironmentConfig();
+    const { symbols } = req.query;
+
+    // Default to the user's watchlist when no symbols are requested
+    const symbolList = symbols
+      ? symbols.split(',').map(symbol => symbol.toUpperCase().trim()).filter(Boolean)
+      : req.user.watchlist.map(item => item.symbol);
+
+    const client = {
+      userId: req.user.id,
+      symbols: new Set(symbolList.slice(0, realTime.maxSymbolsPerClient))
+    };
+
+    res.status(200).set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    res.write(`retry: ${realTime.sseRetryDelay}\n\n`);
+
+    // Replay anything missed since the client's last event. Ids from before a restart, or too old
+    // to replay, get a fresh snapshot instead.
+    const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+    if (lastEventId) {
+      const visible = event => isEventVisibleTo(event, client);
+      let missed = getEventsSince(lastEventId, visible);
+      if (!missed) {
+        missed = getEventsSince(await writeSnapshot(res, client), visible) || [];
+      }
+      missed.forEach(event => writeEvent(res, event));
+    }
+
+    const stopEvents = onMarketEvent((event) => {
+      if (isEventVisibleTo(event, client)) {
+        writeEvent(res, event);
+      }
+    });
+
+    // Comment lines keep proxies from closing an idle connection
+    const heartbeat = setInterval(() => {
+      res.write(`: heartbeat ${new Date().toISOString()}\n\n`);
+      if (typeof res.flush === 'function') res.flush();
+    }, realTime.sseHeartbeatInterval);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      stopEvents();
+    });
+
+  } catch (error) {
+    console.error('Stream events error:', error);
+    if (!res.headersSent) {
+      return res.status(500).json({
+        success: false,
+        message: 'Server error while opening event stream'
+      });
+    }
+    res.end();
+  }
+};
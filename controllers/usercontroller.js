@@ -315,4 +315,69 @@ export const resetPassword = async (req, res) => {
       message: 'Server error while resetting password'
     });
   }
-};
\ No newline at end of file
+};
+// Preferences a user can change, by section
+const PREFERENCE_FIELDS = ['theme', 'currency', 'defaultView', 'refreshInterval'];
+const NOTIFICATION_FIELDS = ['email', 'push', 'priceAlerts', 'newsAlerts'];
+const QUIET_HOURS_FIELDS = ['enabled', 'start', 'end', 'timezone'];
+
+// [path, value] pairs for the fields a request sets
+const pickUpdates = (source, fields, prefix) => fields
+  .filter(field => source?.[field] !== undefined)
+  .map(field => [`${prefix}.${field}`, source[field]]);
+
+// @desc    Update display and notification preferences, including quiet hours
+// @route   PUT /api/auth/preferences
+export const updatePreferences = async (req, res) => {
+  try {
+    const { notifications } = req.body;
+    const updates = [
+      ...pickUpdates(req.body, PREFERENCE_FIELDS, 'preferences'),
+      ...pickUpdates(notifications, NOTIFICATION_FIELDS, 'preferences.notifications'),
+      ...pickUpdates(notifications?.quietHours, QUIET_HOURS_FIELDS, 'preferences.notifications.quietHours')
+    ];
+
+    if (updates.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No preferences to update'
+      });
+    }
+
+    const user = await User.findById(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // Only the fields sent change, the rest of each section is kept
+    updates.forEach(([path, value]) => user.set(path, value));
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Preferences updated successfully',
+      data: { preferences: user.preferences }
+    });
+
+  } catch (error) {
+    console.error('Update preferences error:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating preferences'
+    });
+  }
+};
@@ -0,0 +1,82 @@
+import test, { beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import User from '../models/User.js';
+import { updatePreferences } from './usercontroller.js';
+
+let user;
+
+// A response that records what the handler sent
+const createResponse = () => {
+  const res = { statusCode: 200, body: null };
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    res.body = body;
+    return res;
+  };
+  return res;
+};
+
+const update = async (body) => {
+  const res = createResponse();
+  await updatePreferences({ user: { id: user.id }, body }, res);
+  return res;
+};
+
+beforeEach(() => {
+  mock.restoreAll();
+
+  user = new User({ username: 'trader', email: 'trader@example.com', password: 'secret123' });
+  // Validate as save would, without a database
+  user.save = async function() {
+    await this.validate();
+    return this;
+  };
+
+  mock.method(User, 'findById', async () => user);
+  mock.method(console, 'error', () => {});
+});
+
+test('quiet hours can be turned on with their own times and zone', async () => {
+  const res = await update({
+    notifications: { quietHours: { enabled: true, start: '21:30', end: '06:45', timezone: 'Europe/London' } }
+  });
+
+  assert.equal(res.statusCode, 200);
+  const { quietHours } = user.preferences.notifications;
+  assert.deepEqual(
+    { enabled: quietHours.enabled, start: quietHours.start, end: quietHours.end, timezone: quietHours.timezone },
+    { enabled: true, start: '21:30', end: '06:45', timezone: 'Europe/London' }
+  );
+});
+
+test('fields left out keep their current values', async () => {
+  await update({ notifications: { quietHours: { enabled: true } } });
+
+  assert.equal(user.preferences.notifications.quietHours.enabled, true);
+  assert.equal(user.preferences.notifications.quietHours.start, '22:00');
+  assert.equal(user.preferences.notifications.email, true);
+});
+
+test('quiet hours that are not HH:mm are rejected', async () => {
+  const res = await update({ notifications: { quietHours: { enabled: true, start: '25:00' } } });
+
+  assert.equal(res.statusCode, 400);
+  assert.deepEqual(res.body.errors, ['Quiet hours start must be HH:mm']);
+});
+
+test('unknown time zones are rejected', async () => {
+  const res = await update({ notifications: { quietHours: { timezone: 'Mars/Olympus' } } });
+
+  assert.equal(res.statusCode, 400);
+  assert.deepEqual(res.body.errors, ['Mars/Olympus is not a valid time zone']);
+});
+
+test('a request without preferences is rejected', async () => {
+  const res = await update({ quietHours: { enabled: true } });
+
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.message, 'No preferences to update');
+});
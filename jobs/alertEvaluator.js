@@ -0,0 +1,80 @@
+import cron from 'node-cron';
+import { evaluateAllAlerts } from '../services/alertEngine.js';
+import { releaseHeldNotifications } from '../services/notificationDispatcher.js';
+import { getEnvironmentConfig } from '../config/environment.js';
+import { logger } from '../middleware/logger.js';
+
+// Job state
+let task = null;
+let isRunning = false;
+let lastRun = null;
+let lastResult = null;
+
+// Sweep every active alert, catching anything quote updates missed, and send notifications held
+// through quiet hours that have now ended
+export const runAlertEvaluation = async (now = new Date()) => {
+  if (isRunning) {
+    return { skipped: true, reason: 'already running' };
+  }
+
+  isRunning = true;
+  lastRun = now;
+
+  let result = {};
+
+  try {
+    result = await evaluateAllAlerts(now);
+    result.released = (await releaseHeldNotifications(now)).notifications;
+
+    if (result.triggered > 0 || result.failed > 0 || result.released > 0) {
+      logger.info('Alert evaluation completed', result);
+    }
+  } catch (error) {
+    logger.error('Alert evaluation failed:', error);
+    result.error = error.message;
+  } finally {
+    isRunning = false;
+    lastResult = { ...result, finishedAt: new Date() };
+  }
+
+  return result;
+};
+
+// Start the scheduled evaluation
+export const startAlertEvaluator = () => {
+  const { features, alerts } = getEnvironmentConfig();
+
+  if (!features.alerts || task) {
+    return task;
+  }
+
+  task = cron.schedule(alerts.schedule, () => {
+    runAlertEvaluation().catch(error => logger.error('Alert evaluator job error:', error));
+  });
+
+  logger.info('Alert evaluator scheduled', { schedule: alerts.schedule });
+  return task;
+};
+
+// Stop the scheduled evaluation
+export const stopAlertEvaluator = () => {
+  if (task) {
+    task.stop();
+    task = null;
+  }
+};
+
+// Get job status for health checks
+export const getAlertEvaluatorStatus = () => ({
+  enabled: !!task,
+  running: isRunning,
+  lastRun,
+  lastResult
+});
+
+export default {
+  runAlertEvaluation,
+  startAlertEvaluator,
+  stopAlertEvaluator,
+  getAlertEvaluatorStatus
+};
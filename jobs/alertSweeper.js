@@ -0,0 +1,150 @@
+import cron from 'node-cron';
+import Alert from '../models/Alert.js';
+import JobRun from '../models/JobRun.js';
+import { publishNotification } from '../services/marketEvents.js';
+import { getEnvironmentConfig } from '../config/environment.js';
+import { logger } from '../middleware/logger.js';
+
+const JOB_NAME = 'alertSweeper';
+
+// Job state
+let task = null;
+let isRunning = false;
+let lastRun = null;
+let lastResult = null;
+
+// Statuses an alert can still be expired from
+const EXPIRABLE_STATUSES = ['SCHEDULED', 'ACTIVE', 'DISABLED'];
+
+// Move alerts past their end to EXPIRED and let each owner know
+const expireAlerts = async (now) => {
+  const alerts = await Alert.find({
+    status: { $in: EXPIRABLE_STATUSES },
+    expiresAt: { $ne: null, $lte: now }
+  }).select('_id');
+
+  let expired = 0;
+
+  // Each alert is moved only if it is still due, in case it changed since it was read, and only
+  // the ones actually moved are notified
+  for (const { _id } of alerts) {
+    const alert = await Alert.findOneAndUpdate(
+      { _id, status: { $in: EXPIRABLE_STATUSES }, expiresAt: { $ne: null, $lte: now } },
+      { $set: { status: 'EXPIRED', isActive: false } },
+      { new: true }
+    ).select('user name stockSymbol');
+
+    if (!alert) continue;
+    expired += 1;
+
+    publishNotification(alert.user, {
+      type: 'ALERT_EXPIRED',
+      title: `${alert.stockSymbol} alert expired`,
+      message: `"${alert.name}" reached its end date and will no longer trigger`,
+      symbol: alert.stockSymbol,
+      alertId: alert._id
+    });
+  }
+
+  return expired;
+};
+
+// Start evaluating scheduled alerts whose start date has arrived
+const activateAlerts = async (now) => {
+  const { modifiedCount } = await Alert.updateMany(
+    { status: 'SCHEDULED', startDate: { $lte: now } },
+    { $set: { status: 'ACTIVE' } }
+  );
+
+  return modifiedCount;
+};
+
+// Delete alerts cancelled longer ago than the retention period. Their trigger history is kept.
+const purgeCancelledAlerts = async (now) => {
+  const { cancelledRetentionDays } = getEnvironmentConfig().alerts;
+  const cutoff = new Date(now.getTime() - cancelledRetentionDays * 24 * 60 * 60 * 1000);
+
+  const { deletedCount } = await Alert.deleteMany({ status: 'CANCELLED', updatedAt: { $lt: cutoff } });
+  return deletedCount;
+};
+
+// Expire, activate and purge alerts by their dates, recording the run in the job log
+export const runAlertSweep = async (now = new Date()) => {
+  if (isRunning) {
+    return { skipped: true, reason: 'already running' };
+  }
+
+  isRunning = true;
+  lastRun = now;
+
+  const startedAt = new Date();
+  const result = { expired: 0, activated: 0, purged: 0 };
+  let failure = null;
+
+  try {
+    // Expire first so an alert whose whole window has passed is never activated
+    result.expired = await expireAlerts(now);
+    result.activated = await activateAlerts(now);
+    result.purged = await purgeCancelledAlerts(now);
+
+    if (result.expired > 0 || result.activated > 0 || result.purged > 0) {
+      logger.info('Alert sweep completed', result);
+    }
+  } catch (error) {
+    logger.error('Alert sweep failed:', error);
+    failure = error;
+    result.error = error.message;
+  } finally {
+    isRunning = false;
+    lastResult = { ...result, finishedAt: new Date() };
+  }
+
+  await JobRun.record(JOB_NAME, startedAt, result, failure).catch(error => {
+    logger.error('Failed to record alert sweep run', { error: error.message });
+  });
+
+  return result;
+};
+
+// Start the scheduled sweep
+export const startAlertSweeper = () => {
+  const { features, alerts } = getEnvironmentConfig();
+
+  if (!features.alerts || task) {
+    return task;
+  }
+
+  task = cron.schedule(alerts.sweepSchedule, () => {
+    runAlertSweep().catch(error => logger.error('Alert sweeper job error:', error));
+  });
+
+  logger.info('Alert sweeper scheduled', { schedule: alerts.sweepSchedule });
+  return task;
+};
+
+// Stop the scheduled sweep
+export const stopAlertSweeper = () => {
+  if (task) {
+    task.stop();
+    task = null;
+  }
+};
+
+// Get job status for health checks
+export const getAlertSweeperStatus = () => ({
+  enabled: !!task,
+  running: isRunning,
+  lastRun,
+  lastResult
+});
+
+// Get recent sweeps from the job log
+export const getAlertSweeperRuns = (limit = 20) => JobRun.findRecent(JOB_NAME, limit);
+
+export default {
+  runAlertSweep,
+  startAlertSweeper,
+  stopAlertSweeper,
+  getAlertSweeperStatus,
+  getAlertSweeperRuns
+};
@@ -0,0 +1,114 @@
+import cron from 'node-cron';
+import PriceTick, { TICK_ROLLUPS } from '../models/PriceTick.js';
+import PriceBar from '../models/PriceBar.js';
+import { flushTicks } from '../services/tickRecorder.js';
+import { syncAdjustedWeek52Range } from '../services/corporateActions.js';
+import { getStockApiConfig } from '../config/stockApi.js';
+import { getMarketHoursConfig, getZonedDate, zonedTimeToDate } from '../config/marketHours.js';
+import { logger } from '../middleware/logger.js';
+
+// Aggregator state
+let task = null;
+let isRunning = false;
+let lastRun = null;
+let lastResult = null;
+
+const MINUTE_MS = 60 * 1000;
+const YEAR_MS = 365 * 24 * 60 * MINUTE_MS;
+
+// Start of the session containing a date (midnight, exchange time)
+const getSessionStart = (date) => zonedTimeToDate(getZonedDate(date));
+
+// Start of the bucket containing a date for an interval
+export const getBucketStart = (interval, date) => {
+  const { unit, binSize } = TICK_ROLLUPS[interval];
+  if (unit === 'day') return getSessionStart(date);
+
+  // Minute and hour buckets line up with UTC since exchange offsets are whole hours
+  const size = binSize * (unit === 'hour' ? 60 : 1) * MINUTE_MS;
+  return new Date(Math.floor(date.getTime() / size) * size);
+};
+
+// Roll recent ticks into bars and refresh the stock summaries derived from them
+export const aggregateBars = async (now = new Date()) => {
+  if (isRunning) {
+    return { skipped: true, reason: 'already running' };
+  }
+
+  const previousRun = lastRun;
+  isRunning = true;
+  lastRun = now;
+
+  const { intervals } = getStockApiConfig().ticks;
+  const { timezone } = getMarketHoursConfig();
+  const result = { intervals: [] };
+
+  try {
+    // Include ticks still waiting in the recorder buffer
+    await flushTicks();
+
+    for (const interval of intervals) {
+      // Recompute the current bucket, plus the previous one if it closed since the last run
+      const current = getBucketStart(interval, now);
+      const from = previousRun && previousRun >= current
+        ? current
+        : getBucketStart(interval, new Date(current.getTime() - 1));
+      await PriceTick.rollupBars(interval, { from, to: now, timezone });
+      result.intervals.push(interval);
+    }
+
+    await PriceBar.syncDailyData(getSessionStart(now));
+
+    // Raw bars give the 52-week range, then symbols with recent splits or dividends are corrected
+    const yearAgo = new Date(now.getTime() - YEAR_MS);
+    await PriceBar.syncWeek52Range(yearAgo);
+    await syncAdjustedWeek52Range(yearAgo);
+  } catch (error) {
+    logger.error('Bar aggregation failed:', error);
+    result.error = error.message;
+  } finally {
+    isRunning = false;
+    lastResult = { ...result, finishedAt: new Date() };
+  }
+
+  return result;
+};
+
+// Start the scheduled aggregation
+export const startBarAggregator = () => {
+  const config = getStockApiConfig().ticks;
+
+  if (!config.enabled || task) {
+    return task;
+  }
+
+  task = cron.schedule(config.schedule, () => {
+    aggregateBars().catch(error => logger.error('Bar aggregator error:', error));
+  });
+
+  logger.info('Bar aggregator scheduled', { schedule: config.schedule });
+  return task;
+};
+
+// Stop the scheduled aggregation
+export const stopBarAggregator = () => {
+  if (task) {
+    task.stop();
+    task = null;
+  }
+};
+
+// Get aggregator status for health checks
+export const getBarAggregatorStatus = () => ({
+  enabled: !!task,
+  running: isRunning,
+  lastRun,
+  lastResult
+});
+
+export default {
+  aggregateBars,
+  startBarAggregator,
+  stopBarAggregator,
+  getBarAggregatorStatus
+};
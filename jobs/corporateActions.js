@@ -0,0 +1,107 @@
+import cron from 'node-cron';
+import CorporateAction from '../models/CorporateAction.js';
+import { resolveDividendFactor, proposeSplitAdjustments } from '../services/corporateActions.js';
+import { getStockApiConfig } from '../config/stockApi.js';
+import { logger } from '../middleware/logger.js';
+
+// Job state
+let task = null;
+let isRunning = false;
+let lastRun = null;
+let lastResult = null;
+
+// Finish follow-up work for corporate actions that have taken effect
+export const processCorporateActions = async (now = new Date()) => {
+  if (isRunning) {
+    return { skipped: true, reason: 'already running' };
+  }
+
+  isRunning = true;
+  lastRun = now;
+
+  const result = { dividends: 0, splits: 0, proposals: 0, failed: [] };
+
+  try {
+    // Dividends recorded before their prior close was stored
+    const dividends = await CorporateAction.find({
+      type: 'CASH_DIVIDEND',
+      priceFactor: null,
+      exDate: { $lte: now }
+    });
+
+    for (const dividend of dividends) {
+      await resolveDividendFactor(dividend);
+      if (dividend.priceFactor !== null) result.dividends += 1;
+    }
+
+    // Splits whose ex-date has arrived
+    const splits = await CorporateAction.find({
+      type: 'SPLIT',
+      adjustmentStatus: 'PENDING',
+      exDate: { $lte: now }
+    });
+
+    for (const split of splits) {
+      try {
+        const { proposals } = await proposeSplitAdjustments(split);
+        result.splits += 1;
+        result.proposals += proposals;
+      } catch (error) {
+        result.failed.push({ symbol: split.symbol, error: error.message });
+      }
+    }
+
+    logger.info('Corporate actions processed', {
+      dividends: result.dividends,
+      splits: result.splits,
+      proposals: result.proposals
+    });
+  } catch (error) {
+    logger.error('Corporate action processing failed:', error);
+    result.error = error.message;
+  } finally {
+    isRunning = false;
+    lastResult = { ...result, finishedAt: new Date() };
+  }
+
+  return result;
+};
+
+// Start the scheduled job
+export const startCorporateActionsJob = () => {
+  const config = getStockApiConfig().corporateActions;
+
+  if (!config.enabled || task) {
+    return task;
+  }
+
+  task = cron.schedule(config.schedule, () => {
+    processCorporateActions().catch(error => logger.error('Corporate actions job error:', error));
+  }, { timezone: config.timezone });
+
+  logger.info('Corporate actions job scheduled', { schedule: config.schedule, timezone: config.timezone });
+  return task;
+};
+
+// Stop the scheduled job
+export const stopCorporateActionsJob = () => {
+  if (task) {
+    task.stop();
+    task = null;
+  }
+};
+
+// Get job status for health checks
+export const getCorporateActionsJobStatus = () => ({
+  enabled: !!task,
+  running: isRunning,
+  lastRun,
+  lastResult
+});
+
+export default {
+  processCorporateActions,
+  startCorporateActionsJob,
+  stopCorporateActionsJob,
+  getCorporateActionsJobStatus
+};
@@ -0,0 +1,100 @@
+import cron from 'node-cron';
+import PriceBar from '../models/PriceBar.js';
+import { backfillHistory } from '../services/historyService.js';
+import { collectTrackedSymbols } from './quoteRefresher.js';
+import { getStockApiConfig } from '../config/stockApi.js';
+import { logger } from '../middleware/logger.js';
+
+// Backfill state
+let task = null;
+let isRunning = false;
+let lastRun = null;
+let lastResult = null;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Store history for every tracked symbol, full series for symbols we have never stored
+export const runHistoryBackfill = async ({ symbols, intervals } = {}) => {
+  if (isRunning) {
+    return { skipped: true, reason: 'already running' };
+  }
+
+  isRunning = true;
+  lastRun = new Date();
+
+  const config = getStockApiConfig().history.backfill;
+  const result = { symbols: 0, bars: 0, failed: [] };
+
+  try {
+    const targets = symbols || await collectTrackedSymbols();
+    const targetIntervals = intervals || config.intervals;
+    result.symbols = targets.length;
+
+    for (const symbol of targets) {
+      for (const interval of targetIntervals) {
+        try {
+          const latest = await PriceBar.getLatestDate(symbol, interval);
+          const stored = await backfillHistory(symbol, interval, { full: !latest });
+          result.bars += stored.fetched;
+        } catch (error) {
+          result.failed.push({ symbol, interval, error: error.message });
+        }
+      }
+
+      await sleep(config.symbolDelay);
+    }
+
+    logger.info('History backfill completed', {
+      symbols: result.symbols,
+      bars: result.bars,
+      failed: result.failed.length
+    });
+  } catch (error) {
+    logger.error('History backfill failed:', error);
+    result.error = error.message;
+  } finally {
+    isRunning = false;
+    lastResult = { ...result, finishedAt: new Date() };
+  }
+
+  return result;
+};
+
+// Start the scheduled backfill
+export const startHistoryBackfill = () => {
+  const config = getStockApiConfig().history.backfill;
+
+  if (!config.enabled || task) {
+    return task;
+  }
+
+  task = cron.schedule(config.schedule, () => {
+    runHistoryBackfill().catch(error => logger.error('History backfill error:', error));
+  }, { timezone: config.timezone });
+
+  logger.info('History backfill scheduled', { schedule: config.schedule, timezone: config.timezone });
+  return task;
+};
+
+// Stop the scheduled backfill
+export const stopHistoryBackfill = () => {
+  if (task) {
+    task.stop();
+    task = null;
+  }
+};
+
+// Get backfill status for health checks
+export const getHistoryBackfillStatus = () => ({
+  enabled: !!task,
+  running: isRunning,
+  lastRun,
+  lastResult
+});
+
+export default {
+  runHistoryBackfill,
+  startHistoryBackfill,
+  stopHistoryBackfill,
+  getHistoryBackfillStatus
+};
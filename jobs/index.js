@@ -0,0 +1,44 @@
+// Export all background jobs
+export * from './quoteRefresher.js';
+export * from './historyBackfill.js';
+export * from './barAggregator.js';
+export * from './corporateActions.js';
+export * from './alertEvaluator.js';
+export * from './alertSweeper.js';
+
+import { startQuoteRefresher, stopQuoteRefresher, getQuoteRefresherStatus } from './quoteRefresher.js';
+import { startHistoryBackfill, stopHistoryBackfill, getHistoryBackfillStatus } from './historyBackfill.js';
+import { startBarAggregator, stopBarAggregator, getBarAggregatorStatus } from './barAggregator.js';
+import { startCorporateActionsJob, stopCorporateActionsJob, getCorporateActionsJobStatus } from './corporateActions.js';
+import { startAlertEvaluator, stopAlertEvaluator, getAlertEvaluatorStatus } from './alertEvaluator.js';
+import { startAlertSweeper, stopAlertSweeper, getAlertSweeperStatus } from './alertSweeper.js';
+
+// Start all scheduled jobs
+export const startJobs = () => {
+  startQuoteRefresher();
+  startHistoryBackfill();
+  startBarAggregator();
+  startCorporateActionsJob();
+  startAlertEvaluator();
+  startAlertSweeper();
+};
+
+// Stop all scheduled jobs
+export const stopJobs = () => {
+  stopQuoteRefresher();
+  stopHistoryBackfill();
+  stopBarAggregator();
+  stopCorporateActionsJob();
+  stopAlertEvaluator();
+  stopAlertSweeper();
+};
+
+// Get status of all scheduled jobs
+export const getJobsStatus = () => ({
+  quoteRefresher: getQuoteRefresherStatus(),
+  historyBackfill: getHistoryBackfillStatus(),
+  barAggregator: getBarAggregatorStatus(),
+  corporateActions: getCorporateActionsJobStatus(),
+  alertEvaluator: getAlertEvaluatorStatus(),
+  alertSweeper: getAlertSweeperStatus()
+});
@@ -0,0 +1,201 @@
+import cron from 'node-cron';
+import Stock from '../models/Stock.js';
+import User from '../models/User.js';
+import Alert from '../models/Alert.js';
+import { stockDataService, toPriceUpdate, createStockRecord } from '../services/stockService.js';
+import { backfillHistory } from '../services/historyService.js';
+import { getStockApiConfig } from '../config/stockApi.js';
+import { getMarketSession } from '../config/marketHours.js';
+import { logger } from '../middleware/logger.js';
+
+// Refresher state
+let task = null;
+let isRunning = false;
+let lastRun = null;
+let lastResult = null;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Split a list into chunks of a given size
+const chunk = (list, size) => {
+  const chunks = [];
+  for (let i = 0; i < list.length; i += size) {
+    chunks.push(list.slice(i, i + size));
+  }
+  return chunks;
+};
+
+// Create records for tracked symbols first seen by the refresher, built as getStock builds them.
+// getStock or another run may create the same symbol meanwhile, so records are only inserted when
+// still missing. Returns the symbols created.
+const createStocks = async (quotes) => {
+  const records = [];
+
+  for (const quote of quotes) {
+    const overview = await stockDataService.getOverview(quote.symbol, { priority: 'low' }).catch(error => {
+      logger.warn('Overview unavailable for new stock', { symbol: quote.symbol, error: error.message });
+      return null;
+    });
+    records.push(createStockRecord(quote, overview));
+  }
+
+  const { upsertedIds = {} } = await Stock.bulkWrite(records.map(stock => ({
+    updateOne: {
+      filter: { symbol: stock.symbol },
+      update: { $setOnInsert: stock.toObject() },
+      upsert: true
+    }
+  })), { ordered: false });
+
+  const created = Object.keys(upsertedIds).map(index => records[index].symbol);
+
+  // Load daily history in the background so the 52-week range can be derived
+  created.forEach(symbol => {
+    backfillHistory(symbol, '1d', { full: true, priority: 'low' }).catch(error => {
+      logger.warn('History backfill failed for new stock', { symbol, error: error.message });
+    });
+  });
+
+  return created;
+};
+
+// Find every symbol on a watchlist or read by an active alert, including compound alerts' other stocks
+export const collectTrackedSymbols = async () => {
+  const alertFilter = { isActive: true, status: 'ACTIVE' };
+  const [watchlistSymbols, alertSymbols, watchSymbols] = await Promise.all([
+    User.distinct('watchlist.symbol', { isActive: true }),
+    Alert.distinct('stockSymbol', alertFilter),
+    Alert.distinct('watchSymbols', alertFilter)
+  ]);
+
+  return [...new Set([...watchlistSymbols, ...alertSymbols, ...watchSymbols])].sort();
+};
+
+// Check whether the current session's interval has elapsed
+export const isRefreshDue = (now = new Date()) => {
+  if (!lastRun) return true;
+
+  const { intervals } = getStockApiConfig().refresh;
+  const interval = intervals[getMarketSession(now)];
+  return now - lastRun >= interval;
+};
+
+// Refresh quotes for all tracked symbols
+export const refreshQuotes = async ({ force = false } = {}) => {
+  const now = new Date();
+
+  if (isRunning) {
+    return { skipped: true, reason: 'already running' };
+  }
+
+  if (!force && !isRefreshDue(now)) {
+    return { skipped: true, reason: 'interval not elapsed' };
+  }
+
+  isRunning = true;
+  lastRun = now;
+
+  const { batchSize, batchDelay } = getStockApiConfig().refresh;
+  const session = getMarketSession(now);
+  const result = { session, symbols: 0, updated: 0, created: 0, failed: [] };
+
+  try {
+    const symbols = await collectTrackedSymbols();
+
+    // Deactivated stocks are left alone; tracked symbols with no record yet get one from their quote
+    const [existing, stored] = await Promise.all([
+      Stock.distinct('symbol', { symbol: { $in: symbols }, isActive: true }),
+      Stock.distinct('symbol', { symbol: { $in: symbols } })
+    ]);
+    const missing = symbols.filter(symbol => !stored.includes(symbol));
+    result.symbols = existing.length + missing.length;
+
+    if (missing.length > 0) {
+      logger.info('Creating records for tracked symbols', { symbols: missing });
+    }
+
+    const batches = chunk([...existing, ...missing], batchSize);
+
+    for (let i = 0; i < batches.length; i++) {
+      const { quotes, failed } = await stockDataService.fetchQuotes(batches[i], { priority: 'low' });
+
+      // A failure here leaves those symbols for the next run, the batch's prices are still stored
+      const newQuotes = quotes.filter(quote => missing.includes(quote.symbol));
+      if (newQuotes.length > 0) {
+        try {
+          result.created += (await createStocks(newQuotes)).length;
+        } catch (error) {
+          logger.error('Creating stock records failed', { symbols: newQuotes.map(quote => quote.symbol), error: error.message });
+        }
+      }
+
+      if (quotes.length > 0) {
+        await Stock.updateBulkPrices(quotes.map(toPriceUpdate));
+        result.updated += quotes.length;
+      }
+
+      result.failed.push(...failed);
+
+      if (i < batches.length - 1) {
+        await sleep(batchDelay);
+      }
+    }
+
+    logger.info('Quote refresh completed', {
+      session,
+      symbols: result.symbols,
+      updated: result.updated,
+      created: result.created,
+      failed: result.failed.length
+    });
+  } catch (error) {
+    logger.error('Quote refresh failed:', error);
+    result.error = error.message;
+  } finally {
+    isRunning = false;
+    lastResult = { ...result, finishedAt: new Date() };
+  }
+
+  return result;
+};
+
+// Start the scheduled refresher
+export const startQuoteRefresher = () => {
+  const config = getStockApiConfig().refresh;
+
+  if (!config.enabled || task) {
+    return task;
+  }
+
+  task = cron.schedule(config.schedule, () => {
+    refreshQuotes().catch(error => logger.error('Quote refresher error:', error));
+  });
+
+  logger.info('Quote refresher scheduled', { schedule: config.schedule });
+  return task;
+};
+
+// Stop the scheduled refresher
+export const stopQuoteRefresher = () => {
+  if (task) {
+    task.stop();
+    task = null;
+  }
+};
+
+// Get refresher status for health checks
+export const getQuoteRefresherStatus = () => ({
+  enabled: !!task,
+  running: isRunning,
+  session: getMarketSession(),
+  lastRun,
+  lastResult
+});
+
+export default {
+  collectTrackedSymbols,
+  refreshQuotes,
+  startQuoteRefresher,
+  stopQuoteRefresher,
+  getQuoteRefresherStatus
+};
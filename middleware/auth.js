@@ -1,5 +1,6 @@
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import { getEnvironmentConfig } from '../config/environment.js';
 
 // Generate JWT token
 export const generateToken = (userId) => {
@@ -19,6 +20,26 @@ export const verifyToken = (token) => {
   }
 };
 
+// Resolve an active user from a raw token (for connections outside Express)
+export const getUserFromToken = async (token) => {
+  if (!token) {
+    throw new Error('No token provided');
+  }
+
+  const decoded = verifyToken(token);
+  const user = await User.findById(decoded.id).select('-password');
+
+  if (!user) {
+    throw new Error('Token is valid but user no longer exists');
+  }
+
+  if (!user.isActive) {
+    throw new Error('Account is deactivated');
+  }
+
+  return user;
+};
+
 // Auth middleware to protect routes
 export const auth = async (req, res, next) => {
   try {
@@ -119,8 +140,27 @@ export const optionalAuth = async (req, res, next) => {
   }
 };
 
-// Admin role middleware
-export const requireAdmin = async (req, res, next) => {
+// Admin role middleware, use after auth
+export const requireAdmin = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      message: 'Authentication required'
+    });
+  }
+
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({
+      success: false,
+      message: 'Admin access required'
+    });
+  }
+
+  next();
+};
+
+// Premium user middleware
+export const requirePremium = async (req, res, next) => {
   try {
     await auth(req, res, () => {}); // First check if user is authenticated
 
@@ -131,28 +171,31 @@ export const requireAdmin = async (req, res, next) => {
       });
     }
 
-    // Check if user has admin role (you can extend your User model for this)
-    if (req.user.role !== 'admin') {
+    // Check if user has premium subscription
+    if (req.user.subscription.plan === 'free') {
       return res.status(403).json({
         success: false,
-        message: 'Admin access required'
+        message: 'Premium subscription required for this feature'
       });
     }
 
     next();
   } catch (error) {
-    console.error('Require admin error:', error);
+    console.error('Require premium error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error in admin authentication'
+      message: 'Server error in premium check'
     });
   }
 };
 
-// Premium user middleware
-export const requirePremium = async (req, res, next) => {
-  try {
-    await auth(req, res, () => {}); // First check if user is authenticated
+// Subscription feature middleware, only enforced when premium features are enabled.
+// Use after auth or optionalAuth.
+export const requireFeature = (feature) => {
+  return (req, res, next) => {
+    if (!getEnvironmentConfig().features.premiumFeatures) {
+      return next();
+    }
 
     if (!req.user) {
       return res.status(401).json({
@@ -161,22 +204,15 @@ export const requirePremium = async (req, res, next) => {
       });
     }
 
-    // Check if user has premium subscription
-    if (req.user.subscription.plan === 'free') {
+    if (!req.user.subscription?.features?.[feature]) {
       return res.status(403).json({
         success: false,
-        message: 'Premium subscription required for this feature'
+        message: 'Your subscription does not include this feature'
       });
     }
 
     next();
-  } catch (error) {
-    console.error('Require premium error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error in premium check'
-    });
-  }
+  };
 };
 
 // Ownership check middleware
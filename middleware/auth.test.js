@@ -0,0 +1,60 @@
+import test, { after, before, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import User from '../models/User.js';
+import { auth, requireAdmin, generateToken } from './auth.js';
+
+process.env.JWT_SECRET = 'test-secret';
+
+const users = {
+  admin: { _id: 'admin-id', role: 'admin', isActive: true },
+  member: { _id: 'member-id', role: 'user', isActive: true }
+};
+
+let server;
+let baseUrl;
+
+before(async () => {
+  mock.method(User, 'findById', (id) => ({
+    select: async () => Object.values(users).find(user => user._id === id) || null
+  }));
+  mock.method(console, 'error', () => {});
+
+  // Same chain as recording a corporate action
+  const app = express();
+  app.post('/corporate-actions', auth, requireAdmin, (req, res) => {
+    res.status(201).json({ success: true });
+  });
+
+  await new Promise(resolve => {
+    server = app.listen(0, resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+  mock.restoreAll();
+});
+
+const post = (user) => fetch(`${baseUrl}/corporate-actions`, {
+  method: 'POST',
+  headers: user ? { Authorization: `Bearer ${generateToken(user._id)}` } : {}
+});
+
+test('admins can record corporate actions', async () => {
+  const res = await post(users.admin);
+  assert.equal(res.status, 201);
+});
+
+test('other users are refused with 403', async () => {
+  const res = await post(users.member);
+  assert.equal(res.status, 403);
+  assert.equal((await res.json()).message, 'Admin access required');
+});
+
+test('requests without a token get a single 401', async () => {
+  const res = await post(null);
+  assert.equal(res.status, 401);
+  assert.equal((await res.json()).message, 'No token provided, authorization denied');
+});
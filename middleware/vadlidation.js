@@ -1,4 +1,7 @@
 import { body, param, query, validationResult } from 'express-validator';
+import { CONDITION_TYPES, requiresTarget, validateConditionGroup } from '../services/alertConditions.js';
+import { parseTemplate } from '../services/alertTemplates.js';
+import { EVALUATION_WINDOWS, TIME_OF_DAY, isValidTimeZone } from '../services/alertSchedule.js';
 
 // Custom validation middleware
 export const handleValidationErrors = (req, res, next) => {
@@ -6,7 +9,7 @@ export const handleValidationErrors = (req, res, next) => {
   
   if (!errors.isEmpty()) {
     const errorMessages = errors.array().map(error => ({
-      field: error.param,
+      field: error.path,
       message: error.msg,
       value: error.value
     }));
@@ -141,15 +144,46 @@ export const validateAlertCreate = [
     .escape(),
   
   body('condition.type')
-    .isIn([
-      'PRICE_ABOVE', 'PRICE_BELOW', 'PRICE_PERCENT_UP', 'PRICE_PERCENT_DOWN',
-      'VOLUME_ABOVE', 'VOLUME_BELOW', 'PRICE_CHANGE_UP', 'PRICE_CHANGE_DOWN'
-    ])
+    .isIn([...CONDITION_TYPES, 'COMPOUND'])
     .withMessage('Invalid condition type'),
   
   body('condition.targetValue')
+    .if((value, { req }) => requiresTarget(req.body.condition?.type))
     .isFloat({ min: 0 })
-    .withMessage('Target value must be a positive number'),
+    .withMessage('Target value must be a positive number')
+    .custom((value, { req }) => req.body.condition?.type !== 'TRAILING_STOP'
+      || req.body.condition?.parameters?.comparisonType !== 'percentage'
+      || value < 100)
+    .withMessage('Trailing stop percentage must be below 100'),
+  
+  body('condition.trailing.anchorDate')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('Anchor date must be a valid date'),
+  
+  body('condition.group')
+    .if((value, { req }) => req.body.condition?.type === 'COMPOUND')
+    .custom(group => validateConditionGroup(group) > 0),
+  
+  body('condition.parameters.timeFrame')
+    .optional()
+    .isIn(['1h', '4h', '1d', '1w', '1m'])
+    .withMessage('Invalid time frame'),
+  
+  body('condition.parameters.comparisonType')
+    .optional()
+    .isIn(['absolute', 'percentage'])
+    .withMessage('Invalid comparison type'),
+  
+  body('condition.triggerMode')
+    .optional()
+    .isIn(['LEVEL', 'CROSSING', 'REARM'])
+    .withMessage('Invalid trigger mode'),
+  
+  body('condition.rearmPercent')
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Re-arm percentage must be between 0 and 100'),
   
   body('priority')
     .optional()
@@ -165,6 +199,34 @@ export const validateAlertCreate = [
     .isIn(['EMAIL', 'PUSH', 'SMS', 'IN_APP'])
     .withMessage('Invalid notification type'),
   
+  body('evaluationWindow.mode')
+    .optional()
+    .isIn(EVALUATION_WINDOWS)
+    .withMessage('Invalid evaluation window'),
+  
+  body(['evaluationWindow.start', 'evaluationWindow.end'])
+    .if((value, { req }) => req.body.evaluationWindow?.mode === 'CUSTOM')
+    .matches(TIME_OF_DAY)
+    .withMessage('Custom windows need start and end times as HH:mm'),
+  
+  body('evaluationWindow.days.*')
+    .isInt({ min: 0, max: 6 })
+    .withMessage('Window days must be 0 (Sunday) to 6'),
+  
+  body('evaluationWindow.timezone')
+    .optional({ values: 'null' })
+    .custom(isValidTimeZone)
+    .withMessage('Window time zone must be a valid IANA time zone'),
+  
+  body('notification.messageTemplate')
+    .optional({ values: 'falsy' })
+    .isLength({ max: 500 })
+    .withMessage('Message template cannot exceed 500 characters')
+    .custom(template => {
+      parseTemplate(template);
+      return true;
+    }),
+  
   handleValidationErrors
 ];
 
@@ -0,0 +1,987 @@
+import mongoose from 'mongoose';
+import { BAR_INTERVALS } from './PriceBar.js';
+import { getZonedDate, zonedTimeToDate } from '../config/marketHours.js';
+import {
+  CONDITION_TYPES,
+  BELOW_CONDITIONS,
+  isIndicatorCondition,
+  requiresTarget,
+  toSnapshot,
+  updateTrailingPeak,
+  getPeakSince,
+  measureCondition,
+  describeCondition,
+  collectGroupSymbols,
+  validateConditionGroup,
+  evaluateConditionGroup
+} from '../services/alertConditions.js';
+import { EVALUATION_WINDOWS, TIME_OF_DAY, isValidTimeZone, isInEvaluationWindow } from '../services/alertSchedule.js';
+import { DEFAULT_MESSAGE_TEMPLATE, parseTemplate, renderTemplate, getTemplateValues } from '../services/alertTemplates.js';
+
+const initialEvaluationState = () => ({ lastMet: null, armed: true, valueAtChange: null, changedAt: null });
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Repeating frequencies count maxSends per period: the clock hour, or the exchange-time day.
+// ONCE finishes the alert on its first trigger; EVERY_TIME fires whenever the cooldown allows.
+const PERIODIC_FREQUENCIES = ['EVERY_HOUR', 'EVERY_DAY'];
+
+const getPeriodStart = (frequency, date) => {
+  if (frequency === 'EVERY_HOUR') return new Date(Math.floor(date.getTime() / HOUR_MS) * HOUR_MS);
+  return zonedTimeToDate(getZonedDate(date));
+};
+
+// Start of the following period, stepping past DST changes for days
+const getPeriodEnd = (frequency, start) => {
+  if (frequency === 'EVERY_HOUR') return new Date(start.getTime() + HOUR_MS);
+  return zonedTimeToDate(getZonedDate(new Date(start.getTime() + 36 * HOUR_MS)));
+};
+
+const alertSchema = new mongoose.Schema({
+  // User who created the alert
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User reference is required'],
+    index: true
+  },
+  
+  // Stock associated with the alert
+  stock: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Stock',
+    required: [true, 'Stock reference is required'],
+    index: true
+  },
+  
+  stockSymbol: {
+    type: String,
+    required: [true, 'Stock symbol is required'],
+    uppercase: true,
+    trim: true,
+    index: true
+  },
+  
+  // Every symbol the alert's conditions read, so a quote on any of them re-evaluates it
+  watchSymbols: {
+    type: [String],
+    index: true
+  },
+  
+  // Alert configuration
+  name: {
+    type: String,
+    required: [true, 'Alert name is required'],
+    trim: true,
+    maxlength: [100, 'Alert name cannot exceed 100 characters']
+  },
+  
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  
+  // Alert conditions
+  condition: {
+    type: {
+      type: String,
+      required: true,
+      enum: [...CONDITION_TYPES, 'COMPOUND'],
+      default: 'PRICE_ABOVE'
+    },
+    
+    // Target value for the condition (crossovers, band breaks and groups don't need one)
+    targetValue: {
+      type: Number,
+      required: [
+        function() { return requiresTarget(this.condition.type); },
+        'Target value is required'
+      ]
+    },
+    
+    // High-water mark for TRAILING_STOP alerts, tracked from creation or anchorDate
+    trailing: {
+      anchorDate: {
+        type: Date,
+        default: null
+      },
+      peak: {
+        type: Number,
+        default: null
+      },
+      peakAt: {
+        type: Date,
+        default: null
+      }
+    },
+    
+    // Nested AND/OR group for COMPOUND alerts, see services/alertConditions.js
+    group: {
+      type: mongoose.Schema.Types.Mixed,
+      default: undefined,
+      required: [
+        function() { return this.condition.type === 'COMPOUND'; },
+        'Condition group is required for compound alerts'
+      ],
+      validate: {
+        validator: function(group) {
+          validateConditionGroup(group);
+          return true;
+        }
+      }
+    },
+    
+    // Current value when alert was triggered (for tracking)
+    currentValue: {
+      type: Number,
+      default: null
+    },
+    
+    // LEVEL fires whenever the condition holds, CROSSING only when it starts holding,
+    // REARM once and then again after the value falls back by rearmPercent from the target
+    triggerMode: {
+      type: String,
+      enum: ['LEVEL', 'CROSSING', 'REARM'],
+      default: 'LEVEL'
+    },
+    
+    rearmPercent: {
+      type: Number,
+      min: [0, 'Re-arm percentage cannot be negative'],
+      max: [100, 'Re-arm percentage cannot exceed 100'],
+      default: 1
+    },
+    
+    // Additional parameters for complex conditions
+    parameters: {
+      timeFrame: {
+        type: String,
+        enum: ['1h', '4h', '1d', '1w', '1m'],
+        default: '1d'
+      },
+      comparisonType: {
+        type: String,
+        enum: ['absolute', 'percentage'],
+        default: 'absolute'
+      },
+      
+      // Indicator conditions, unset values fall back to each indicator's defaults
+      interval: {
+        type: String,
+        enum: BAR_INTERVALS
+      },
+      period: {
+        type: Number,
+        min: [2, 'Period must be at least 2'],
+        max: [500, 'Period cannot exceed 500'],
+        validate: [Number.isInteger, 'Period must be a whole number']
+      },
+      maType: {
+        type: String,
+        enum: ['SMA', 'EMA']
+      },
+      fastPeriod: {
+        type: Number,
+        min: [2, 'Fast period must be at least 2'],
+        max: [500, 'Fast period cannot exceed 500'],
+        validate: [Number.isInteger, 'Fast period must be a whole number']
+      },
+      slowPeriod: {
+        type: Number,
+        min: [2, 'Slow period must be at least 2'],
+        max: [500, 'Slow period cannot exceed 500'],
+        validate: [Number.isInteger, 'Slow period must be a whole number']
+      },
+      signalPeriod: {
+        type: Number,
+        min: [2, 'Signal period must be at least 2'],
+        max: [500, 'Signal period cannot exceed 500'],
+        validate: [Number.isInteger, 'Signal period must be a whole number']
+      },
+      stdDev: {
+        type: Number,
+        min: [0.5, 'Standard deviations must be at least 0.5'],
+        max: [5, 'Standard deviations cannot exceed 5']
+      }
+    }
+  },
+  
+  // Alert status and execution
+  status: {
+    type: String,
+    // SCHEDULED alerts are waiting for their start date, see jobs/alertSweeper.js
+    enum: ['SCHEDULED', 'ACTIVE', 'TRIGGERED', 'CANCELLED', 'EXPIRED', 'DISABLED'],
+    default: 'ACTIVE',
+    index: true
+  },
+  
+  isActive: {
+    type: Boolean,
+    default: true,
+    index: true
+  },
+  
+  priority: {
+    type: String,
+    enum: ['LOW', 'MEDIUM', 'HIGH', 'CRITICAL'],
+    default: 'MEDIUM'
+  },
+  
+  // Notification settings
+  notification: {
+    types: [{
+      type: String,
+      enum: ['EMAIL', 'PUSH', 'SMS', 'IN_APP'],
+      default: 'IN_APP'
+    }],
+    
+    frequency: {
+      type: String,
+      enum: ['ONCE', 'EVERY_HOUR', 'EVERY_DAY', 'EVERY_TIME'],
+      default: 'ONCE'
+    },
+    
+    lastSent: {
+      type: Date,
+      default: null
+    },
+    
+    sendCount: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    
+    maxSends: {
+      type: Number,
+      default: 1,
+      min: 1
+    },
+    
+    cooldownMinutes: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    
+    // Start of the period sendCount covers, for EVERY_HOUR and EVERY_DAY
+    periodStart: {
+      type: Date,
+      default: null
+    },
+    
+    // See services/alertTemplates.js for placeholders and sections
+    messageTemplate: {
+      type: String,
+      maxlength: [500, 'Message template cannot exceed 500 characters'],
+      validate: {
+        validator: function(template) {
+          if (template) parseTemplate(template);
+          return true;
+        }
+      }
+    }
+  },
+  
+  // Last evaluated state, used by the CROSSING and REARM trigger modes
+  evaluationState: {
+    lastMet: {
+      type: Boolean,
+      default: null
+    },
+    armed: {
+      type: Boolean,
+      default: true
+    },
+    valueAtChange: {
+      type: Number,
+      default: null
+    },
+    changedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  
+  // Trigger information
+  triggeredAt: {
+    type: Date,
+    default: null
+  },
+  
+  triggerCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  
+  triggerData: {
+    priceAtTrigger: {
+      type: Number,
+      default: null
+    },
+    volumeAtTrigger: {
+      type: Number,
+      default: null
+    },
+    changeAtTrigger: {
+      type: Number,
+      default: null
+    },
+    conditionsMet: {
+      type: Map,
+      of: Boolean,
+      default: {}
+    }
+  },
+  
+  // Scheduling and expiration
+  startDate: {
+    type: Date,
+    default: Date.now
+  },
+  
+  endDate: {
+    type: Date,
+    default: null
+  },
+  
+  expiresAt: {
+    type: Date,
+    default: null,
+    index: true
+  },
+  
+  // Times of day the alert is evaluated, see services/alertSchedule.js
+  evaluationWindow: {
+    mode: {
+      type: String,
+      enum: EVALUATION_WINDOWS,
+      default: 'ANYTIME'
+    },
+    // CUSTOM windows only, 'HH:mm'; a window ending before it starts runs past midnight
+    start: {
+      type: String,
+      match: [TIME_OF_DAY, 'Window start must be HH:mm'],
+      required: [function() { return this.evaluationWindow?.mode === 'CUSTOM'; }, 'Custom windows need a start time']
+    },
+    end: {
+      type: String,
+      match: [TIME_OF_DAY, 'Window end must be HH:mm'],
+      required: [function() { return this.evaluationWindow?.mode === 'CUSTOM'; }, 'Custom windows need an end time']
+    },
+    // Weekdays, 0 = Sunday; trading days when empty
+    days: [{
+      type: Number,
+      min: 0,
+      max: 6
+    }],
+    // IANA time zone for the times, the exchange's when unset
+    timezone: {
+      type: String,
+      default: null,
+      validate: {
+        validator: zone => zone === null || isValidTimeZone(zone),
+        message: props => `${props.value} is not a valid time zone`
+      }
+    }
+  },
+  
+  // Shared by alerts created together from a watchlist, so they can be managed as one
+  groupId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  
+  // Alert categories and tags
+  category: {
+    type: String,
+    enum: [
+      'PRICE_MOVEMENT',
+      'VOLUME_SPIKE', 
+      'TECHNICAL_BREAKOUT',
+      'SUPPORT_RESISTANCE',
+      'NEWS_EVENT',
+      'EARNINGS',
+      'DIVIDEND',
+      'CUSTOM'
+    ],
+    default: 'PRICE_MOVEMENT'
+  },
+  
+  tags: [{
+    type: String,
+    trim: true,
+    maxlength: [50, 'Tag cannot exceed 50 characters']
+  }],
+  
+  // User preferences for this alert
+  userPreferences: {
+    snoozeUntil: {
+      type: Date,
+      default: null
+    },
+    
+    isMuted: {
+      type: Boolean,
+      default: false
+    },
+    
+    customSound: {
+      type: String,
+      default: null
+    },
+    
+    vibration: {
+      type: Boolean,
+      default: true
+    }
+  },
+  
+  // Analytics and tracking
+  viewCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  
+  lastViewed: {
+    type: Date,
+    default: null
+  },
+  
+  // System fields
+  createdBy: {
+    type: String,
+    enum: ['USER', 'SYSTEM', 'RECOMMENDATION'],
+    default: 'USER'
+  },
+  
+  version: {
+    type: Number,
+    default: 1
+  }
+
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Compound indexes for better query performance
+alertSchema.index({ user: 1, stock: 1 });
+alertSchema.index({ user: 1, status: 1 });
+alertSchema.index({ user: 1, isActive: 1 });
+alertSchema.index({ user: 1, groupId: 1 });
+alertSchema.index({ stockSymbol: 1, status: 1 });
+alertSchema.index({ status: 1, expiresAt: 1 });
+alertSchema.index({ 'condition.type': 1, isActive: 1 });
+alertSchema.index({ triggeredAt: -1 });
+alertSchema.index({ createdAt: -1 });
+
+// Virtual for checking if alert is expired
+alertSchema.virtual('isExpired').get(function() {
+  if (!this.expiresAt) return false;
+  return this.expiresAt < new Date();
+});
+
+// Virtual for checking if alert can be triggered again
+alertSchema.virtual('canTriggerAgain').get(function() {
+  return this.canTriggerAt(new Date());
+});
+
+// Virtual for formatted condition description
+alertSchema.virtual('conditionDescription').get(function() {
+  const description = describeCondition(this.condition);
+  
+  switch (this.condition.triggerMode) {
+    case 'CROSSING':
+      return `${description}, on crossing`;
+    case 'REARM':
+      return `${description}, re-arms after ${this.condition.rearmPercent}% pullback`;
+    default:
+      return description;
+  }
+});
+
+// Virtual for next possible trigger time, null when the alert can't trigger again
+alertSchema.virtual('nextTriggerTime').get(function() {
+  return this.getNextTriggerTime(new Date());
+});
+
+// Static method to find active alerts for a user
+alertSchema.statics.findActiveByUser = function(userId) {
+  return this.find({
+    user: userId,
+    isActive: true,
+    status: 'ACTIVE',
+    $or: [
+      { expiresAt: null },
+      { expiresAt: { $gt: new Date() } }
+    ]
+  })
+  .populate('stock', 'symbol companyName currentPrice dailyData')
+  .sort({ priority: -1, createdAt: -1 });
+};
+
+// Static method to find alerts by stock symbol
+alertSchema.statics.findByStockSymbol = function(symbol, options = {}) {
+  const query = { stockSymbol: symbol.toUpperCase() };
+  
+  if (options.activeOnly) {
+    query.isActive = true;
+    query.status = 'ACTIVE';
+  }
+  
+  if (options.userId) {
+    query.user = options.userId;
+  }
+  
+  return this.find(query)
+    .populate('user', 'username email profile.firstName profile.lastName')
+    .populate('stock', 'symbol companyName currentPrice')
+    .sort({ createdAt: -1 });
+};
+
+// Static method to find active alerts that need to be checked (not expired)
+alertSchema.statics.findAlertsToCheck = function({ symbols = null, limit = 0, now = new Date() } = {}) {
+  const query = {
+    isActive: true,
+    status: 'ACTIVE',
+    // Snoozed and cooling-down alerts are included so their evaluated state stays current
+    $and: [
+      { $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] }
+    ]
+  };
+  
+  if (symbols) {
+    const upper = symbols.map(symbol => symbol.toUpperCase());
+    query.$and.push({ $or: [{ stockSymbol: { $in: upper } }, { watchSymbols: { $in: upper } }] });
+  }
+  
+  const alerts = this.find(query)
+    .populate('stock', 'symbol companyName currentPrice dailyData historicalSummary')
+    .populate('user', 'username email profile.firstName preferences.notifications')
+    .sort({ stockSymbol: 1 });
+  
+  return limit ? alerts.limit(limit) : alerts;
+};
+
+// Static method to get triggered alerts for a user
+alertSchema.statics.findTriggeredByUser = function(userId, limit = 50) {
+  return this.find({
+    user: userId,
+    status: 'TRIGGERED'
+  })
+  .populate('stock', 'symbol companyName currentPrice')
+  .sort({ triggeredAt: -1 })
+  .limit(limit);
+};
+
+// Static method to check and trigger alerts for a stock
+// Alerts that throw are collected in `failed` so one bad alert doesn't stop the rest.
+alertSchema.statics.checkStockAlerts = async function(stock, currentPrice, volume, context = {}) {
+  const alerts = await this.findAlertsToCheck({ symbols: [stock.symbol], now: context.asOf });
+  const result = { checked: 0, triggered: [], failed: [] };
+  const now = context.asOf || new Date();
+
+  for (const alert of alerts) {
+    if (!alert.getNextTriggerTime(now)) continue;
+    
+    try {
+      // Alerts held back by a cooldown, snooze or evaluation window still follow the price,
+      // so crossings and trailing peaks are current once they may trigger again
+      const observeOnly = !alert.canTriggerAt(now) || !alert.isInEvaluationWindow(now);
+      if (!observeOnly) result.checked += 1;
+      
+      // Compound alerts on another stock see this quote through context.quotes
+      const isPrimary = alert.stockSymbol === stock.symbol;
+      if (isPrimary) alert.stock = stock;
+      
+      const price = isPrimary ? currentPrice : alert.stock?.currentPrice?.price;
+      const alertVolume = isPrimary ? volume : alert.stock?.dailyData?.volume ?? null;
+      const shouldTrigger = await alert.checkConditions(price, alertVolume, {
+        ...context,
+        observeOnly,
+        quotes: { ...context.quotes, [stock.symbol]: toSnapshot(stock, currentPrice, volume) }
+      });
+      
+      if (shouldTrigger) {
+        if (await alert.trigger(price, alertVolume, context.asOf)) result.triggered.push(alert);
+      } else if (alert.isModified('evaluationState') || alert.isModified('condition.trailing')) {
+        await alert.save();
+      }
+    } catch (error) {
+      result.failed.push({ alert, error });
+    }
+  }
+
+  return result;
+};
+
+// Instance method to measure the condition's value and whether it currently holds.
+// Compound alerts report how many of their conditions hold, with per-condition results kept for trigger().
+alertSchema.methods.measureCondition = async function(currentPrice, volume = null, context = {}) {
+  const snapshot = toSnapshot(this.stock, currentPrice, volume);
+  
+  if (this.condition.type === 'TRAILING_STOP') {
+    updateTrailingPeak(this.condition, snapshot.price, context.asOf || new Date());
+  }
+  
+  if (this.condition.type !== 'COMPOUND') {
+    return measureCondition(this.condition, snapshot, context);
+  }
+  
+  const snapshots = await this.loadSnapshots(snapshot, context);
+  const { met, results } = await evaluateConditionGroup(this.condition.group, snapshots, context);
+  this.$locals.conditionsMet = results;
+  
+  return { met, value: [...results.values()].filter(Boolean).length };
+};
+
+// Instance method to gather quote data for every symbol a compound alert reads.
+// context.quotes carries live quotes that may be newer than what is stored.
+alertSchema.methods.loadSnapshots = async function(primary, context = {}) {
+  const snapshots = { [primary.symbol]: primary, ...context.quotes };
+  const missing = collectGroupSymbols(this.condition.group).filter(symbol => !snapshots[symbol]);
+  
+  if (missing.length > 0) {
+    const stocks = await mongoose.model('Stock').find({ symbol: { $in: missing } })
+      .select('symbol currentPrice dailyData');
+    stocks.forEach(stock => {
+      snapshots[stock.symbol] = toSnapshot(stock);
+    });
+  }
+  
+  return snapshots;
+};
+
+// Instance method to check if alert conditions are met, applying the trigger mode.
+// With context.observeOnly the evaluated state is recorded but the alert never triggers.
+alertSchema.methods.checkConditions = async function(currentPrice, volume = null, context = {}) {
+  if (!this.stock || !this.stock.currentPrice) return false;
+  
+  const { met, value } = await this.measureCondition(currentPrice, volume, context);
+  if (value === null || value === undefined) return false;
+  
+  const state = this.evaluationState;
+  const wasMet = state.lastMet;
+  let shouldTrigger;
+  
+  switch (this.condition.triggerMode) {
+    case 'CROSSING':
+      // Only the move into the condition counts; the first evaluation just records where we are
+      shouldTrigger = met && wasMet === false;
+      break;
+      
+    case 'REARM':
+      shouldTrigger = met && state.armed;
+      if (shouldTrigger) {
+        // An observing alert stays armed so it fires once it may
+        if (!context.observeOnly) state.armed = false;
+      } else if (!met && !state.armed && this.hasPulledBack(value)) {
+        state.armed = true;
+      }
+      break;
+      
+    default:
+      shouldTrigger = met;
+  }
+  
+  // State is only written on transitions so steady prices don't cause a save per quote
+  if (met !== wasMet) {
+    state.lastMet = met;
+    state.valueAtChange = value;
+    state.changedAt = context.asOf || new Date();
+  }
+  
+  if (context.observeOnly) return false;
+  
+  if (shouldTrigger) this.condition.currentValue = value;
+  return shouldTrigger;
+};
+
+// Instance method to check whether a REARM alert's value has fallen back far enough from the target
+alertSchema.methods.hasPulledBack = function(value) {
+  const target = this.condition.targetValue;
+  
+  // Conditions without a price target (crossovers, band breaks, trailing stops) re-arm as soon as they stop holding
+  if (target === null || target === undefined || this.condition.type === 'TRAILING_STOP') return true;
+  
+  const distance = Math.abs(target) * (this.condition.rearmPercent / 100);
+  return BELOW_CONDITIONS.includes(this.condition.type)
+    ? value >= target + distance
+    : value <= target - distance;
+};
+
+// Instance method to pin each group condition without a symbol to the alert's stock
+alertSchema.methods.pinGroupSymbols = function() {
+  const pin = (group) => {
+    group.conditions.forEach(node => {
+      if (Array.isArray(node.conditions)) return pin(node);
+      node.symbol = (node.symbol || this.stockSymbol).toUpperCase();
+    });
+  };
+  
+  pin(this.condition.group);
+  this.markModified('condition.group');
+  this.watchSymbols = collectGroupSymbols(this.condition.group);
+  return this;
+};
+
+// Instance method to seed a trailing stop's high-water mark from its anchor date and the current price
+alertSchema.methods.seedTrailingPeak = async function(currentPrice, context = {}) {
+  const { trailing } = this.condition;
+  const asOf = context.asOf || new Date();
+  
+  trailing.peak = null;
+  trailing.peakAt = null;
+  
+  if (trailing.anchorDate) {
+    const since = await getPeakSince(this.stockSymbol, trailing.anchorDate, { asOf, history: context.history });
+    if (since) {
+      trailing.peak = since.peak;
+      trailing.peakAt = since.date;
+    }
+  }
+  
+  updateTrailingPeak(this.condition, currentPrice, asOf);
+  return this;
+};
+
+// Instance method to get sends counted against maxSends at a time, repeating alerts start over each period
+alertSchema.methods.getPeriodSendCount = function(now = new Date()) {
+  const { frequency, periodStart, sendCount } = this.notification;
+  if (!PERIODIC_FREQUENCIES.includes(frequency)) return sendCount;
+  
+  const current = getPeriodStart(frequency, now);
+  return periodStart && periodStart.getTime() === current.getTime() ? sendCount : 0;
+};
+
+// Instance method to get the earliest time the alert may trigger, null if it can't trigger again
+alertSchema.methods.getNextTriggerTime = function(now = new Date()) {
+  if (!['ACTIVE', 'SCHEDULED'].includes(this.status) || !this.isActive) return null;
+  
+  const { frequency, maxSends, lastSent, cooldownMinutes } = this.notification;
+  let next = now;
+  const notBefore = (date) => {
+    if (date && date > next) next = date;
+  };
+  
+  if (frequency === 'ONCE' && this.notification.sendCount >= maxSends) return null;
+  
+  if (PERIODIC_FREQUENCIES.includes(frequency) && this.getPeriodSendCount(now) >= maxSends) {
+    notBefore(getPeriodEnd(frequency, getPeriodStart(frequency, now)));
+  }
+  
+  if (lastSent && cooldownMinutes > 0) {
+    notBefore(new Date(lastSent.getTime() + cooldownMinutes * 60 * 1000));
+  }
+  
+  notBefore(this.userPreferences.snoozeUntil);
+  notBefore(this.startDate);
+  
+  if (this.expiresAt && next >= this.expiresAt) return null;
+  return next;
+};
+
+// Instance method to check whether the alert may trigger at a given time
+alertSchema.methods.canTriggerAt = function(now = new Date()) {
+  const next = this.getNextTriggerTime(now);
+  return !!next && next <= now;
+};
+
+// Instance method to check whether the alert is evaluated at a given time of day
+alertSchema.methods.isInEvaluationWindow = function(now = new Date()) {
+  return isInEvaluationWindow(this.evaluationWindow, now);
+};
+
+// Instance method to record a trigger against the alert's frequency
+alertSchema.methods.applyTrigger = function(now = new Date()) {
+  const { frequency } = this.notification;
+  
+  this.triggeredAt = now;
+  this.triggerCount += 1;
+  
+  if (PERIODIC_FREQUENCIES.includes(frequency)) {
+    const periodStart = getPeriodStart(frequency, now);
+    if (this.notification.periodStart?.getTime() !== periodStart.getTime()) {
+      this.notification.periodStart = periodStart;
+      this.notification.sendCount = 0;
+    }
+  }
+  
+  this.notification.lastSent = now;
+  this.notification.sendCount += 1;
+  
+  // Only one-off alerts finish when they fire, repeating ones stay active
+  if (frequency === 'ONCE') {
+    this.status = 'TRIGGERED';
+    this.isActive = false;
+  }
+  
+  return this;
+};
+
+// Instance method to trigger the alert
+// Returns null without notifying when another evaluation triggered it first.
+alertSchema.methods.trigger = async function(currentPrice, volume = null, now = new Date()) {
+  const previousCount = this.triggerCount;
+  this.applyTrigger(now);
+  
+  // Store trigger data
+  this.triggerData = {
+    priceAtTrigger: currentPrice,
+    volumeAtTrigger: volume,
+    changeAtTrigger: this.stock?.currentPrice?.change || 0,
+    conditionsMet: this.$locals.conditionsMet || new Map([[this.condition.type, true]])
+  };
+  
+  // The save only matches while the trigger count is the one this evaluation read
+  this.$where = { triggerCount: previousCount };
+  try {
+    await this.save();
+  } catch (error) {
+    if (error.name === 'DocumentNotFoundError') return null;
+    throw error;
+  } finally {
+    this.$where = undefined;
+  }
+  
+  // Delivery is left to the notification dispatcher, see services/alertEngine.js
+  this.emit('alertTriggered', this);
+  
+  return this;
+};
+
+// Instance method to reset alert
+alertSchema.methods.reset = function() {
+  this.status = 'ACTIVE';
+  this.isActive = true;
+  this.triggeredAt = null;
+  this.triggerData = {};
+  this.notification.sendCount = 0;
+  this.notification.lastSent = null;
+  this.notification.periodStart = null;
+  this.evaluationState = initialEvaluationState();
+  
+  // A trailing stop starts tracking again from the next price
+  if (this.condition.type === 'TRAILING_STOP') {
+    this.condition.trailing.peak = null;
+    this.condition.trailing.peakAt = null;
+  }
+  
+  return this.save();
+};
+
+// Instance method to snooze alert
+alertSchema.methods.snooze = function(minutes = 60) {
+  this.userPreferences.snoozeUntil = new Date(Date.now() + minutes * 60 * 1000);
+  return this.save();
+};
+
+// Instance method to cancel alert
+alertSchema.methods.cancel = function() {
+  this.status = 'CANCELLED';
+  this.isActive = false;
+  return this.save();
+};
+
+// Instance method to enable alert
+alertSchema.methods.enable = function() {
+  this.status = 'ACTIVE';
+  this.isActive = true;
+  return this.save();
+};
+
+// Instance method to disable alert
+alertSchema.methods.disable = function() {
+  this.status = 'DISABLED';
+  this.isActive = false;
+  return this.save();
+};
+
+// Instance method to render the alert's message template, or the default message
+alertSchema.methods.getNotificationMessage = function(template = this.notification.messageTemplate) {
+  return renderTemplate(template || DEFAULT_MESSAGE_TEMPLATE, getTemplateValues(this));
+};
+
+// Instance method to log view
+alertSchema.methods.logView = function() {
+  this.viewCount += 1;
+  this.lastViewed = new Date();
+  return this.save();
+};
+
+// Helper method to format large numbers
+alertSchema.methods.formatNumber = function(num) {
+  if (num >= 1000000) {
+    return (num / 1000000).toFixed(1) + 'M';
+  } else if (num >= 1000) {
+    return (num / 1000).toFixed(1) + 'K';
+  }
+  return num.toString();
+};
+
+// Middleware to update stockSymbol when stock is populated
+alertSchema.pre('save', function(next) {
+  if (this.stock && this.stock.symbol && !this.stockSymbol) {
+    this.stockSymbol = this.stock.symbol;
+  }
+  next();
+});
+
+// Middleware to file indicator alerts under technical breakouts unless categorised otherwise
+alertSchema.pre('save', function(next) {
+  if (this.isModified('condition.type') && isIndicatorCondition(this.condition.type) && this.category === 'PRICE_MOVEMENT') {
+    this.category = 'TECHNICAL_BREAKOUT';
+  }
+  next();
+});
+
+// Middleware to pin group conditions without a symbol to the alert's stock and track watched symbols
+alertSchema.pre('save', function(next) {
+  if (this.condition.type !== 'COMPOUND' || !this.condition.group) {
+    this.watchSymbols = [this.stockSymbol];
+    return next();
+  }
+  
+  if (!this.isNew && !this.isModified('condition.group')) return next();
+  
+  this.pinGroupSymbols();
+  next();
+});
+
+// Middleware to forget the evaluated state when the condition changes
+alertSchema.pre('save', function(next) {
+  const paths = ['condition.type', 'condition.targetValue', 'condition.triggerMode', 'condition.parameters', 'condition.group'];
+  if (!this.isNew && paths.some(path => this.isModified(path))) {
+    this.evaluationState = initialEvaluationState();
+  }
+  next();
+});
+
+// Middleware to hold alerts back until their start date, the sweeper activates them when it arrives
+alertSchema.pre('save', function(next) {
+  const waiting = this.startDate && this.startDate > new Date();
+  
+  if (this.status === 'ACTIVE' && waiting) {
+    this.status = 'SCHEDULED';
+  } else if (this.status === 'SCHEDULED' && !waiting) {
+    this.status = 'ACTIVE';
+  }
+  next();
+});
+
+// Middleware to update expiresAt based on endDate
+alertSchema.pre('save', function(next) {
+  if (this.endDate && !this.expiresAt) {
+    this.expiresAt = this.endDate;
+  }
+  next();
+});
+
+const Alert = mongoose.model('Alert', alertSchema);
+
+export default Alert;
\ No newline at end of file
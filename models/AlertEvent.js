@@ -0,0 +1,153 @@
+import mongoose from 'mongoose';
+
+// One firing of an alert. Events are written once and never changed, see the hooks below.
+const alertEventSchema = new mongoose.Schema({
+  alert: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Alert',
+    required: true
+  },
+
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  stockSymbol: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true
+  },
+
+  triggeredAt: {
+    type: Date,
+    required: true
+  },
+
+  price: {
+    type: Number,
+    default: null
+  },
+
+  volume: {
+    type: Number,
+    default: null
+  },
+
+  change: {
+    type: Number,
+    default: null
+  },
+
+  // The alert's condition as it stood when it fired
+  condition: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+
+  description: {
+    type: String
+  },
+
+  // Per-condition results, keyed like Alert.triggerData.conditionsMet
+  conditionsMet: {
+    type: Map,
+    of: Boolean,
+    default: {}
+  },
+
+  // Outcome of each notification channel, see services/notificationDispatcher.js
+  deliveries: [{
+    _id: false,
+    channel: {
+      type: String,
+      required: true
+    },
+    outcome: {
+      type: String,
+      enum: ['sent', 'held', 'skipped', 'failed', 'unavailable'],
+      required: true
+    },
+    error: {
+      type: String,
+      default: null
+    }
+  }]
+
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+alertEventSchema.index({ alert: 1, _id: -1 });
+alertEventSchema.index({ user: 1, _id: -1 });
+alertEventSchema.index({ user: 1, stockSymbol: 1, _id: -1 });
+
+// Events are append-only
+alertEventSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Alert events cannot be modified'));
+  }
+  next();
+});
+
+alertEventSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'], function(next) {
+  next(new Error('Alert events cannot be modified'));
+});
+
+// Static method to record a triggered alert and how it was delivered
+alertEventSchema.statics.record = function(alert, deliveries = []) {
+  const condition = alert.condition.toObject ? alert.condition.toObject() : alert.condition;
+
+  return this.create({
+    alert: alert._id,
+    user: alert.user?._id || alert.user,
+    stockSymbol: alert.stockSymbol,
+    triggeredAt: alert.triggeredAt || new Date(),
+    price: alert.triggerData?.priceAtTrigger ?? null,
+    volume: alert.triggerData?.volumeAtTrigger ?? null,
+    change: alert.triggerData?.changeAtTrigger ?? null,
+    condition,
+    description: alert.conditionDescription,
+    conditionsMet: alert.triggerData?.conditionsMet,
+    deliveries: deliveries.map(({ type, outcome, error }) => ({ channel: type, outcome, error: error || null }))
+  });
+};
+
+// Static method to page through a user's events, newest first.
+// Pass the returned nextBefore (an event id) as `before` to get the following page.
+alertEventSchema.statics.findFeed = async function(userId, { alert, symbol, from, to, before, limit = 50 } = {}) {
+  const query = { user: userId };
+
+  if (alert) query.alert = alert;
+  if (symbol) query.stockSymbol = symbol.toUpperCase();
+
+  if (from || to) {
+    query.triggeredAt = {};
+    if (from) query.triggeredAt.$gte = from;
+    if (to) query.triggeredAt.$lte = to;
+  }
+
+  // Events are written as alerts fire, so id order is trigger order
+  if (before) query._id = { $lt: before };
+
+  const events = await this.find(query)
+    .sort({ _id: -1 })
+    .limit(limit + 1)
+    .populate('alert', 'name status')
+    .lean();
+
+  const hasMore = events.length > limit;
+  if (hasMore) events.pop();
+
+  return {
+    events,
+    hasMore,
+    nextBefore: hasMore ? events[events.length - 1]._id : null
+  };
+};
+
+const AlertEvent = mongoose.model('AlertEvent', alertEventSchema);
+
+export default AlertEvent;
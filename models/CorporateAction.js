@@ -0,0 +1,108 @@
+import mongoose from 'mongoose';
+
+const corporateActionSchema = new mongoose.Schema({
+  symbol: {
+    type: String,
+    required: [true, 'Stock symbol is required'],
+    uppercase: true,
+    trim: true
+  },
+
+  type: {
+    type: String,
+    required: true,
+    enum: ['SPLIT', 'CASH_DIVIDEND']
+  },
+
+  // First session trading at the new basis (midnight, exchange time)
+  exDate: {
+    type: Date,
+    required: [true, 'Ex-date is required']
+  },
+
+  // Shares after the split for each share before, e.g. 4 for a 4-for-1, 0.1 for a 1-for-10
+  splitRatio: {
+    type: Number,
+    min: [0, 'Split ratio must be positive'],
+    required: [
+      function() { return this.type === 'SPLIT'; },
+      'Split ratio is required for splits'
+    ]
+  },
+
+  // Cash paid per share
+  amount: {
+    type: Number,
+    min: [0, 'Dividend amount must be positive'],
+    required: [
+      function() { return this.type === 'CASH_DIVIDEND'; },
+      'Amount is required for cash dividends'
+    ]
+  },
+
+  currency: {
+    type: String,
+    default: 'USD'
+  },
+
+  // Multiplier applied to prices before the ex-date, null until it can be computed
+  priceFactor: {
+    type: Number,
+    default: null
+  },
+
+  // Split follow-up: proposals to rescale alert and watchlist targets
+  adjustmentStatus: {
+    type: String,
+    enum: ['PENDING', 'PROPOSED', 'NOT_APPLICABLE'],
+    default: function() { return this.type === 'SPLIT' ? 'PENDING' : 'NOT_APPLICABLE'; }
+  },
+
+  proposedAt: {
+    type: Date,
+    default: null
+  },
+
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+
+}, {
+  timestamps: true
+});
+
+corporateActionSchema.index({ symbol: 1, type: 1, exDate: 1 }, { unique: true });
+corporateActionSchema.index({ adjustmentStatus: 1, exDate: 1 });
+
+// Splits have a fixed price factor, dividends need the prior close
+corporateActionSchema.pre('save', function(next) {
+  if (this.type === 'SPLIT' && this.isModified('splitRatio')) {
+    this.priceFactor = 1 / this.splitRatio;
+  }
+  next();
+});
+
+// Static method to get a symbol's actions, oldest first
+corporateActionSchema.statics.findBySymbol = function(symbol, { from, to } = {}) {
+  const query = { symbol: symbol.toUpperCase() };
+
+  if (from || to) {
+    query.exDate = {};
+    if (from) query.exDate.$gte = from;
+    if (to) query.exDate.$lte = to;
+  }
+
+  return this.find(query).sort({ exDate: 1 });
+};
+
+const CorporateAction = mongoose.model('CorporateAction', corporateActionSchema);
+
+export default CorporateAction;
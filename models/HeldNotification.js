@@ -0,0 +1,54 @@
+import mongoose from 'mongoose';
+
+// A triggered alert's notification waiting for its owner's quiet hours to end
+const heldNotificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  alert: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Alert',
+    required: true
+  },
+
+  // Channels to deliver on once released
+  types: [{
+    type: String
+  }],
+
+  // Payload built when the alert triggered, see toAlertNotification
+  notification: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+
+  releaseAt: {
+    type: Date,
+    required: true
+  },
+
+  // Releases that left a channel undelivered, see releaseHeldNotifications
+  attempts: {
+    type: Number,
+    default: 0
+  }
+
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+heldNotificationSchema.index({ releaseAt: 1 });
+
+// Static method to get notifications due for release, oldest first
+heldNotificationSchema.statics.findDue = function(now = new Date()) {
+  return this.find({ releaseAt: { $lte: now } })
+    .sort({ createdAt: 1 })
+    .lean();
+};
+
+const HeldNotification = mongoose.model('HeldNotification', heldNotificationSchema);
+
+export default HeldNotification;
@@ -0,0 +1,78 @@
+import mongoose from 'mongoose';
+
+// How long run records are kept
+const RETENTION_DAYS = 30;
+
+// One run of a scheduled job
+const jobRunSchema = new mongoose.Schema({
+  job: {
+    type: String,
+    required: true,
+    trim: true
+  },
+
+  startedAt: {
+    type: Date,
+    required: true
+  },
+
+  finishedAt: {
+    type: Date,
+    default: null
+  },
+
+  durationMs: {
+    type: Number,
+    default: null
+  },
+
+  status: {
+    type: String,
+    enum: ['SUCCEEDED', 'FAILED'],
+    required: true
+  },
+
+  // What the run did, e.g. how many records it touched
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  error: {
+    type: String,
+    default: null
+  }
+
+}, {
+  timestamps: false
+});
+
+jobRunSchema.index({ job: 1, startedAt: -1 });
+jobRunSchema.index({ startedAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+// Static method to record a finished run
+jobRunSchema.statics.record = function(job, startedAt, result = {}, error = null) {
+  const finishedAt = new Date();
+
+  return this.create({
+    job,
+    startedAt,
+    finishedAt,
+    durationMs: finishedAt - startedAt,
+    status: error ? 'FAILED' : 'SUCCEEDED',
+    result,
+    error: error ? error.message : null
+  });
+};
+
+// Static method to get a job's most recent runs, newest first
+jobRunSchema.statics.findRecent = function(job, limit = 20) {
+  return this.find({ job })
+    .sort({ startedAt: -1 })
+    .limit(limit)
+    .lean();
+};
+
+const JobRun = mongoose.model('JobRun', jobRunSchema);
+
+export default JobRun;
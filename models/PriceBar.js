@@ -0,0 +1,218 @@
+import mongoose from 'mongoose';
+
+// Bar intervals we store, matching the provider interval names
+export const BAR_INTERVALS = ['1m', '5m', '15m', '1h', '1d', '1w', '1mo'];
+
+const priceBarSchema = new mongoose.Schema({
+  symbol: {
+    type: String,
+    required: [true, 'Stock symbol is required'],
+    uppercase: true,
+    trim: true
+  },
+
+  interval: {
+    type: String,
+    required: true,
+    enum: BAR_INTERVALS
+  },
+
+  // Start of the bar
+  date: {
+    type: Date,
+    required: true
+  },
+
+  open: {
+    type: Number,
+    required: true
+  },
+
+  high: {
+    type: Number,
+    required: true
+  },
+
+  low: {
+    type: Number,
+    required: true
+  },
+
+  close: {
+    type: Number,
+    required: true
+  },
+
+  volume: {
+    type: Number,
+    default: 0
+  },
+
+  // 'provider' for backfilled bars, 'aggregated' for bars built from our own quotes
+  source: {
+    type: String,
+    enum: ['provider', 'aggregated'],
+    default: 'provider'
+  }
+
+}, {
+  timestamps: true
+});
+
+// One bar per symbol, interval and start time; also serves range queries
+priceBarSchema.index({ symbol: 1, interval: 1, date: 1 }, { unique: true });
+priceBarSchema.index({ interval: 1, date: 1 });
+
+// Static method to upsert a batch of bars for a symbol and interval
+priceBarSchema.statics.upsertBars = async function(symbol, interval, bars, source = 'provider') {
+  const ops = bars
+    .filter(bar => bar.date && bar.close !== null && bar.close !== undefined)
+    .map(bar => ({
+      updateOne: {
+        filter: { symbol: symbol.toUpperCase(), interval, date: bar.date },
+        update: {
+          $set: {
+            open: bar.open ?? bar.close,
+            high: bar.high ?? bar.close,
+            low: bar.low ?? bar.close,
+            close: bar.close,
+            volume: bar.volume || 0,
+            source
+          }
+        },
+        upsert: true
+      }
+    }));
+
+  if (ops.length === 0) return { upserted: 0, modified: 0 };
+
+  const result = await this.bulkWrite(ops, { ordered: false });
+  return {
+    upserted: result.upsertedCount,
+    modified: result.modifiedCount
+  };
+};
+
+// Static method to get bars in a date range, oldest first.
+// Fetches one extra bar so callers can tell whether another page exists.
+priceBarSchema.statics.findRange = async function(symbol, interval, { from, to, limit = 500 } = {}) {
+  const query = { symbol: symbol.toUpperCase(), interval };
+
+  if (from || to) {
+    query.date = {};
+    if (from) query.date.$gte = from;
+    if (to) query.date.$lte = to;
+  }
+
+  const bars = await this.find(query)
+    .sort({ date: 1 })
+    .limit(limit + 1)
+    .select('date open high low close volume -_id')
+    .lean();
+
+  const hasMore = bars.length > limit;
+  if (hasMore) bars.pop();
+
+  return {
+    bars,
+    hasMore,
+    nextFrom: hasMore ? new Date(bars[bars.length - 1].date.getTime() + 1) : null
+  };
+};
+
+// Static method to get the latest bars up to a date, oldest first
+priceBarSchema.statics.findLatest = async function(symbol, interval, { to, count = 100 } = {}) {
+  const query = { symbol: symbol.toUpperCase(), interval };
+  if (to) query.date = { $lte: to };
+
+  const bars = await this.find(query)
+    .sort({ date: -1 })
+    .limit(count)
+    .select('date open high low close volume -_id')
+    .lean();
+
+  return bars.reverse();
+};
+
+// Static method to get the most recent bar date we hold
+priceBarSchema.statics.getLatestDate = async function(symbol, interval) {
+  const latest = await this.findOne({ symbol: symbol.toUpperCase(), interval })
+    .sort({ date: -1 })
+    .select('date')
+    .lean();
+
+  return latest?.date || null;
+};
+
+// Static method to copy a session's daily bars onto the matching stocks' dailyData
+priceBarSchema.statics.syncDailyData = function(sessionStart) {
+  return this.aggregate([
+    { $match: { interval: '1d', date: sessionStart } },
+    {
+      $project: {
+        _id: 0,
+        symbol: 1,
+        high: 1,
+        low: 1,
+        volume: 1
+      }
+    },
+    {
+      $merge: {
+        into: 'stocks',
+        on: 'symbol',
+        whenMatched: [
+          {
+            $set: {
+              'dailyData.high': '$$new.high',
+              'dailyData.low': '$$new.low',
+              'dailyData.volume': { $max: ['$dailyData.volume', '$$new.volume'] }
+            }
+          }
+        ],
+        whenNotMatched: 'discard'
+      }
+    }
+  ]);
+};
+
+// Static method to derive each stock's 52-week range from stored daily bars
+priceBarSchema.statics.syncWeek52Range = function(since) {
+  return this.aggregate([
+    { $match: { interval: '1d', date: { $gte: since } } },
+    {
+      $group: {
+        _id: '$symbol',
+        high: { $max: '$high' },
+        low: { $min: '$low' }
+      }
+    },
+    {
+      $project: {
+        _id: 0,
+        symbol: '$_id',
+        high: 1,
+        low: 1
+      }
+    },
+    {
+      $merge: {
+        into: 'stocks',
+        on: 'symbol',
+        whenMatched: [
+          {
+            $set: {
+              'historicalSummary.week52High': '$$new.high',
+              'historicalSummary.week52Low': '$$new.low'
+            }
+          }
+        ],
+        whenNotMatched: 'discard'
+      }
+    }
+  ]);
+};
+
+const PriceBar = mongoose.model('PriceBar', priceBarSchema);
+
+export default PriceBar;
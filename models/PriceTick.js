@@ -0,0 +1,117 @@
+import mongoose from 'mongoose';
+import { getStockApiConfig } from '../config/stockApi.js';
+
+// How ticks roll up into each bar interval
+export const TICK_ROLLUPS = {
+  '1m': { unit: 'minute', binSize: 1 },
+  '5m': { unit: 'minute', binSize: 5 },
+  '15m': { unit: 'minute', binSize: 15 },
+  '1h': { unit: 'hour', binSize: 1 },
+  '1d': { unit: 'day', binSize: 1 }
+};
+
+const priceTickSchema = new mongoose.Schema({
+  symbol: {
+    type: String,
+    required: [true, 'Stock symbol is required'],
+    uppercase: true,
+    trim: true
+  },
+
+  price: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+
+  // Shares traded since the previous tick for this symbol
+  volume: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  // Session volume reported with the quote
+  dayVolume: {
+    type: Number,
+    min: 0
+  },
+
+  timestamp: {
+    type: Date,
+    required: true,
+    default: Date.now
+  }
+});
+
+priceTickSchema.index({ symbol: 1, timestamp: 1 });
+
+// Ticks are only kept long enough to build bars
+priceTickSchema.index(
+  { timestamp: 1 },
+  { expireAfterSeconds: Math.round(getStockApiConfig().ticks.ttl / 1000) }
+);
+
+// Static method to roll ticks in a time range up into stored bars.
+// Buckets are recomputed whole, so running it repeatedly over the same range is safe.
+priceTickSchema.statics.rollupBars = function(interval, { from, to = new Date(), timezone } = {}) {
+  const { unit, binSize } = TICK_ROLLUPS[interval];
+
+  return this.aggregate([
+    { $match: { timestamp: { $gte: from, $lt: to } } },
+    { $sort: { symbol: 1, timestamp: 1 } },
+    {
+      $group: {
+        _id: {
+          symbol: '$symbol',
+          date: { $dateTrunc: { date: '$timestamp', unit, binSize, timezone } }
+        },
+        open: { $first: '$price' },
+        high: { $max: '$price' },
+        low: { $min: '$price' },
+        close: { $last: '$price' },
+        // A session bar takes the reported session volume, smaller bars sum tick volume
+        volume: interval === '1d' ? { $max: '$dayVolume' } : { $sum: '$volume' }
+      }
+    },
+    {
+      $project: {
+        _id: 0,
+        symbol: '$_id.symbol',
+        interval: { $literal: interval },
+        date: '$_id.date',
+        open: 1,
+        high: 1,
+        low: 1,
+        close: 1,
+        volume: { $ifNull: ['$volume', 0] },
+        source: { $literal: 'aggregated' },
+        createdAt: '$$NOW',
+        updatedAt: '$$NOW'
+      }
+    },
+    {
+      // Widen existing bars (including provider bars) rather than replacing them
+      $merge: {
+        into: 'pricebars',
+        on: ['symbol', 'interval', 'date'],
+        whenMatched: [
+          {
+            $set: {
+              high: { $max: ['$high', '$$new.high'] },
+              low: { $min: ['$low', '$$new.low'] },
+              close: '$$new.close',
+              volume: { $max: ['$volume', '$$new.volume'] },
+              updatedAt: '$$new.updatedAt'
+            }
+          }
+        ],
+        whenNotMatched: 'insert'
+      }
+    }
+  ]);
+};
+
+const PriceTick = mongoose.model('PriceTick', priceTickSchema);
+
+export default PriceTick;
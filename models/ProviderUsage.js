@@ -0,0 +1,78 @@
+import mongoose from 'mongoose';
+
+const providerUsageSchema = new mongoose.Schema({
+  // Provider name as used in stockApiConfig
+  provider: {
+    type: String,
+    required: [true, 'Provider is required'],
+    trim: true
+  },
+
+  // Budget window the counter belongs to
+  period: {
+    type: String,
+    required: true,
+    enum: ['day', 'month']
+  },
+
+  // Window key, e.g. '2025-10-18' for a day or '2025-10' for a month (UTC)
+  periodKey: {
+    type: String,
+    required: true
+  },
+
+  count: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+
+}, {
+  timestamps: true
+});
+
+providerUsageSchema.index({ provider: 1, period: 1, periodKey: 1 }, { unique: true });
+
+// Build the window key for a period
+providerUsageSchema.statics.getPeriodKey = function(period, date = new Date()) {
+  const iso = date.toISOString();
+  return period === 'month' ? iso.slice(0, 7) : iso.slice(0, 10);
+};
+
+// Static method to get the current day and month counts for a provider
+providerUsageSchema.statics.getCurrentUsage = async function(provider, date = new Date()) {
+  const dayKey = this.getPeriodKey('day', date);
+  const monthKey = this.getPeriodKey('month', date);
+
+  const records = await this.find({
+    provider,
+    $or: [
+      { period: 'day', periodKey: dayKey },
+      { period: 'month', periodKey: monthKey }
+    ]
+  }).lean();
+
+  const find = (period) => records.find(record => record.period === period)?.count || 0;
+
+  return {
+    day: { key: dayKey, count: find('day') },
+    month: { key: monthKey, count: find('month') }
+  };
+};
+
+// Static method to add requests to the current day and month counters
+providerUsageSchema.statics.increment = function(provider, amount = 1, date = new Date()) {
+  const ops = ['day', 'month'].map(period => ({
+    updateOne: {
+      filter: { provider, period, periodKey: this.getPeriodKey(period, date) },
+      update: { $inc: { count: amount } },
+      upsert: true
+    }
+  }));
+
+  return this.bulkWrite(ops, { ordered: false });
+};
+
+const ProviderUsage = mongoose.model('ProviderUsage', providerUsageSchema);
+
+export default ProviderUsage;
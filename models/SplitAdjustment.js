@@ -0,0 +1,89 @@
+import mongoose from 'mongoose';
+
+// A proposed rescale of one alert or watchlist target after a stock split
+const splitAdjustmentSchema = new mongoose.Schema({
+  action: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CorporateAction',
+    required: true
+  },
+
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+
+  symbol: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true
+  },
+
+  target: {
+    kind: {
+      type: String,
+      required: true,
+      enum: ['ALERT', 'WATCHLIST']
+    },
+    // Set for alert targets
+    alert: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Alert',
+      default: null
+    },
+    // Index path of the condition within a compound alert's group, e.g. '1/0'
+    path: {
+      type: String,
+      default: null
+    }
+  },
+
+  currentValue: {
+    type: Number,
+    required: true
+  },
+
+  proposedValue: {
+    type: Number,
+    required: true
+  },
+
+  status: {
+    type: String,
+    enum: ['PENDING', 'APPLIED', 'DISMISSED', 'STALE'],
+    default: 'PENDING'
+  },
+
+  resolvedAt: {
+    type: Date,
+    default: null
+  }
+
+}, {
+  timestamps: true
+});
+
+splitAdjustmentSchema.index({ user: 1, status: 1 });
+splitAdjustmentSchema.index({ action: 1, 'target.kind': 1, 'target.alert': 1, 'target.path': 1, user: 1 }, { unique: true });
+
+// Static method to get a user's open proposals
+splitAdjustmentSchema.statics.findPendingByUser = function(userId) {
+  return this.find({ user: userId, status: 'PENDING' })
+    .populate('action', 'symbol type exDate splitRatio')
+    .populate('target.alert', 'name condition.type condition.targetValue')
+    .sort({ createdAt: -1 });
+};
+
+// Instance method to close a proposal
+splitAdjustmentSchema.methods.resolve = function(status) {
+  this.status = status;
+  this.resolvedAt = new Date();
+  return this.save();
+};
+
+const SplitAdjustment = mongoose.model('SplitAdjustment', splitAdjustmentSchema);
+
+export default SplitAdjustment;
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { publishQuote } from '../services/marketEvents.js';
 
 const stockSchema = new mongoose.Schema({
   // Basic stock information
@@ -336,21 +337,38 @@ stockSchema.statics.getMostActive = function(limit = 10) {
 
 // Static method to update stock prices in bulk
 stockSchema.statics.updateBulkPrices = async function(priceUpdates) {
-  const bulkOps = priceUpdates.map(update => ({
-    updateOne: {
-      filter: { symbol: update.symbol },
-      update: {
-        $set: {
-          'currentPrice.price': update.price,
-          'currentPrice.change': update.change,
-          'currentPrice.changePercent': update.changePercent,
-          'currentPrice.lastUpdated': new Date()
-        }
+  // High and low are derived from recorded ticks, see PriceBar.syncDailyData
+  const dailyFields = ['open', 'volume', 'previousClose'];
+
+  const bulkOps = priceUpdates.map(update => {
+    const $set = {
+      'currentPrice.price': update.price,
+      'currentPrice.change': update.change,
+      'currentPrice.changePercent': update.changePercent,
+      'currentPrice.lastUpdated': new Date()
+    };
+
+    // Carry daily trading data along when the quote includes it
+    dailyFields.forEach(field => {
+      if (update[field] !== undefined && update[field] !== null) {
+        $set[`dailyData.${field}`] = update[field];
       }
-    }
-  }));
+    });
+
+    return {
+      updateOne: {
+        filter: { symbol: update.symbol },
+        update: { $set }
+      }
+    };
+  });
 
-  return this.bulkWrite(bulkOps);
+  const result = await this.bulkWrite(bulkOps);
+
+  // Push the new prices to real-time subscribers
+  priceUpdates.forEach(update => publishQuote(update));
+
+  return result;
 };
 
 // Instance method to update daily data
@@ -419,9 +437,24 @@ stockSchema.pre('save', function(next) {
   if (this.isModified('currentPrice') || this.isModified('dailyData')) {
     this.lastFullUpdate = new Date();
   }
+  this.$locals.quoteChanged = this.isModified('currentPrice');
   next();
 });
 
+// Middleware to publish quote updates once they are written
+stockSchema.post('save', function(doc) {
+  if (!doc.$locals.quoteChanged) return;
+
+  publishQuote({
+    symbol: doc.symbol,
+    price: doc.currentPrice.price,
+    change: doc.currentPrice.change,
+    changePercent: doc.currentPrice.changePercent,
+    volume: doc.dailyData?.volume,
+    lastUpdated: doc.currentPrice.lastUpdated
+  });
+});
+
 const Stock = mongoose.model('Stock', stockSchema);
 
 export default Stock;
\ No newline at end of file
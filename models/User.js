@@ -1,8 +1,9 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import { TIME_OF_DAY, isValidTimeZone } from '../services/alertSchedule.js';
 
 const userSchema = new mongoose.Schema({
-  
+  username: {
     type: String,
     required: [true, 'Username is required'],
     unique: true,
@@ -79,7 +80,7 @@ const userSchema = new mongoose.Schema({
     }
   }],
   
-  preferences: 
+  preferences: {
     theme: {
       type: String,
       enum: ['light', 'dark', 'auto'],
@@ -105,6 +106,31 @@ const userSchema = new mongoose.Schema({
       newsAlerts: {
         type: Boolean,
         default: true
+      },
+      // Non-critical alerts triggering in these hours are held and sent together when they end
+      quietHours: {
+        enabled: {
+          type: Boolean,
+          default: false
+        },
+        start: {
+          type: String,
+          match: [TIME_OF_DAY, 'Quiet hours start must be HH:mm'],
+          default: '22:00'
+        },
+        end: {
+          type: String,
+          match: [TIME_OF_DAY, 'Quiet hours end must be HH:mm'],
+          default: '07:00'
+        },
+        timezone: {
+          type: String,
+          default: 'America/New_York',
+          validate: {
+            validator: isValidTimeZone,
+            message: props => `${props.value} is not a valid time zone`
+          }
+        }
       }
     },
     defaultView: {
@@ -151,6 +177,13 @@ const userSchema = new mongoose.Schema({
   },
   
 
+  // Admins can record corporate actions and other shared market data
+  role: {
+    type: String,
+    enum: ['user', 'admin'],
+    default: 'user'
+  },
+
   isVerified: {
     type: Boolean,
     default: false
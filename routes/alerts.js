@@ -10,20 +10,22 @@ import {
   snoozeAlert,
   toggleAlert,
   getStockAlerts,
-  getTriggeredAlerts,
+  getAlertEvents,
+  getAlertEventFeed,
+  backtestAlert,
+  previewAlertMessage,
+  exportAlerts,
+  importAlerts,
+  createWatchlistAlerts,
+  updateAlertGroup,
+  toggleAlertGroup,
+  deleteAlertGroup,
   bulkDeleteAlerts
 } from '../controllers/alertController.js';
 import { auth } from '../middleware/auth.js';
+import { validateAlertCreate } from '../middleware/vadlidation.js';
 
 // Validation middleware
-const validateCreateAlert = (req, res, next) => {
-  const { stockSymbol, name, condition, targetValue } = req.body;
-  if (!stockSymbol || !name || !condition || !targetValue) {
-    return res.status(400).json({ success: false, message: 'Required fields missing' });
-  }
-  next();
-};
-
 const validateAlertId = (req, res, next) => {
   const { id } = req.params;
   if (!id || id.length !== 24) {
@@ -32,6 +34,14 @@ const validateAlertId = (req, res, next) => {
   next();
 };
 
+const validateGroupId = (req, res, next) => {
+  const { groupId } = req.params;
+  if (!groupId || groupId.length !== 24) {
+    return res.status(400).json({ success: false, message: 'Valid alert group ID required' });
+  }
+  next();
+};
+
 const router = express.Router();
 
 // All routes are protected
@@ -39,14 +49,25 @@ router.use(auth);
 
 // Alert management
 router.get('/', getAlerts);
-router.get('/history/triggered', getTriggeredAlerts);
+router.get('/events', getAlertEventFeed);
+router.get('/export', exportAlerts);
 router.get('/stock/:symbol', getStockAlerts);
 router.get('/:id', validateAlertId, getAlert);
-router.post('/', validateCreateAlert, createAlert);
+router.get('/:id/events', validateAlertId, getAlertEvents);
+router.post('/', validateAlertCreate, createAlert);
+router.post('/backtest', validateAlertCreate, backtestAlert);
+router.post('/preview', validateAlertCreate, previewAlertMessage);
+router.post('/import', importAlerts);
+router.post('/watchlist', createWatchlistAlerts);
 router.put('/:id', validateAlertId, updateAlert);
 router.delete('/:id', validateAlertId, deleteAlert);
 router.delete('/bulk', bulkDeleteAlerts);
 
+// Alert groups
+router.put('/groups/:groupId', validateGroupId, updateAlertGroup);
+router.post('/groups/:groupId/toggle', validateGroupId, toggleAlertGroup);
+router.delete('/groups/:groupId', validateGroupId, deleteAlertGroup);
+
 // Alert actions
 router.post('/:id/trigger', validateAlertId, triggerAlert);
 router.post('/:id/reset', validateAlertId, resetAlert);
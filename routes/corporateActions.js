@@ -0,0 +1,27 @@
+import express from 'express';
+import {
+  getSplitAdjustments,
+  applyAdjustment,
+  dismissAdjustment
+} from '../controllers/corporateActionController.js';
+import { auth } from '../middleware/auth.js';
+
+const validateAdjustmentId = (req, res, next) => {
+  const { id } = req.params;
+  if (!id || id.length !== 24) {
+    return res.status(400).json({ success: false, message: 'Valid adjustment ID required' });
+  }
+  next();
+};
+
+const router = express.Router();
+
+// All routes are protected
+router.use(auth);
+
+// Split adjustment proposals for the user's alerts and watchlist
+router.get('/adjustments', getSplitAdjustments);
+router.post('/adjustments/:id/apply', validateAdjustmentId, applyAdjustment);
+router.post('/adjustments/:id/dismiss', validateAdjustmentId, dismissAdjustment);
+
+export default router;
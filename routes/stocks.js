@@ -1,13 +1,19 @@
 import express from 'express';
 import {
   getStock,
+  getStockHistory,
+  getStockIndicators,
   searchStocks,
   getBatchStocks,
   getTopGainers,
   getTopLosers,
   getMostActive
 } from '../controllers/stockController.js';
-import { auth, optionalAuth } from '../middleware/auth.js';
+import {
+  getCorporateActions,
+  createCorporateAction
+} from '../controllers/corporateActionController.js';
+import { auth, optionalAuth, requireAdmin, requireFeature } from '../middleware/auth.js';
 
 // Validation middleware
 const validateStockSymbol = (req, res, next) => {
@@ -32,6 +38,13 @@ router.get('/market/losers', getTopLosers);
 router.get('/market/active', getMostActive);
 
 // Public routes with optional auth
+router.get('/:symbol/history', optionalAuth, validateStockSymbol, getStockHistory);
+router.get('/:symbol/corporate-actions', validateStockSymbol, getCorporateActions);
+router.get('/:symbol/indicators', optionalAuth, requireFeature('advancedCharts'), validateStockSymbol, getStockIndicators);
+
+// Admin routes
+router.post('/:symbol/corporate-actions', auth, requireAdmin, validateStockSymbol, createCorporateAction);
+
 router.get('/:symbol', optionalAuth, validateStockSymbol, getStock);
 
 export default router;
\ No newline at end of file
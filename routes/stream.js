@@ -0,0 +1,21 @@
+import express from 'express';
+import { streamEvents } from '../controllers/streamController.js';
+import { auth } from '../middleware/auth.js';
+
+// EventSource cannot send headers, so accept the token as a query parameter
+const tokenFromQuery = (req, res, next) => {
+  const { token } = req.query;
+  if (token && !req.headers.authorization) {
+    req.headers.authorization = `Bearer ${token}`;
+  }
+  next();
+};
+
+const router = express.Router();
+
+// All routes are protected
+router.use(tokenFromQuery, auth);
+
+router.get('/', streamEvents);
+
+export default router;
@@ -31,6 +31,20 @@ import stockRoutes from './routes/stocks.js';
 import watchlistRoutes from './routes/watchlist.js';
 import alertRoutes from './routes/alerts.js';
 import notificationRoutes from './routes/notifications.js';
+import streamRoutes from './routes/stream.js';
+import corporateActionRoutes from './routes/corporateActions.js';
+
+// Import real-time services
+import { attachPriceStream } from './services/priceStream.js';
+
+// Import market data services
+import { stockDataService } from './services/stockService.js';
+import { startTickRecorder, stopTickRecorder, getTickRecorderStatus } from './services/tickRecorder.js';
+import { startAlertEngine, stopAlertEngine, getAlertEngineStatus } from './services/alertEngine.js';
+import { getDispatcherStatus } from './services/notificationDispatcher.js';
+
+// Import background jobs
+import { startJobs, stopJobs, getJobsStatus } from './jobs/index.js';
 
 // Initialize configuration
 initializeConfig();
@@ -38,6 +52,9 @@ initializeConfig();
 const app = express();
 const envConfig = getEnvironmentConfig();
 
+// Real-time price stream (attached once the HTTP server is listening)
+let priceStream = null;
+
 // Security middleware
 app.use(securityLogger);
 app.use(helmet({
@@ -78,7 +95,15 @@ app.get('/api/health', async (req, res) => {
     version: envConfig.app.version,
     uptime: process.uptime(),
     memory: process.memoryUsage(),
-    database: 'connected' // You can add actual database health check
+    database: 'connected', // You can add actual database health check
+    realTime: priceStream ? priceStream.getStats() : 'disabled',
+    providers: stockDataService.getProviderHealth(),
+    jobs: getJobsStatus(),
+    ticks: getTickRecorderStatus(),
+    alerts: {
+      engine: getAlertEngineStatus(),
+      notifications: getDispatcherStatus()
+    }
   };
 
   res.json(healthCheck);
@@ -90,6 +115,12 @@ app.use('/api/stocks', stockRoutes);
 app.use('/api/watchlist', watchlistRoutes);
 app.use('/api/alerts', alertRoutes);
 app.use('/api/notifications', notificationRoutes);
+app.use('/api/corporate-actions', corporateActionRoutes);
+
+// Server-Sent Events fallback for clients that cannot use WebSockets
+if (envConfig.features.realTimeData) {
+  app.use('/api/stream', streamRoutes);
+}
 
 // 404 handler
 app.use(notFound);
@@ -105,6 +136,9 @@ const startServer = async () => {
   try {
     // Connect to database
     await connectDatabase();
+
+    // Restore provider request counters so quotas survive restarts
+    await stockDataService.loadUsage();
     
     // Start listening
     const server = app.listen(envConfig.server.port, envConfig.server.host, () => {
@@ -117,9 +151,37 @@ const startServer = async () => {
       console.log('=====================================\n');
     });
 
+    // Attach WebSocket price streaming when real-time data is enabled
+    if (envConfig.features.realTimeData) {
+      priceStream = attachPriceStream(server);
+      console.log(`📡 Price stream: ws://${envConfig.server.host}:${envConfig.server.port}${envConfig.realTime.websocketPath}`);
+    }
+
+    // Capture quote updates as ticks for bar aggregation
+    startTickRecorder();
+
+    // Evaluate alerts as quote updates arrive
+    startAlertEngine();
+
+    // Start scheduled background jobs
+    startJobs();
+
     // Graceful shutdown
     const gracefulShutdown = async (signal) => {
       console.log(`\n⚠️  Received ${signal}. Starting graceful shutdown...`);
+
+      // Stop scheduled jobs before tearing down connections
+      stopJobs();
+      stopAlertEngine();
+
+      // Write buffered ticks while the database is still connected
+      await stopTickRecorder();
+
+      // Close open sockets first so server.close() can complete
+      if (priceStream) {
+        await priceStream.close();
+        console.log('✅ Price stream closed');
+      }
       
       server.close(async () => {
         console.log('✅ HTTP server closed');
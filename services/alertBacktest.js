@@ -0,0 +1,163 @@
+import { getBars, getRecentBars } from './historyService.js';
+import { INTERVAL_MS, collectGroupSymbols } from './alertConditions.js';
+import { getZonedDate } from '../config/marketHours.js';
+
+// Intervals an alert can be replayed over
+export const BACKTEST_INTERVALS = ['1m', '5m', '15m', '1h', '1d'];
+
+// Most bars replayed in one run, and extra bars kept before the range for indicators and look-backs
+export const MAX_BACKTEST_BARS = 2000;
+const LOOKBACK_BARS = 500;
+
+// Index of the first bar dated after `date`
+const upperBound = (bars, date) => {
+  let low = 0;
+  let high = bars.length;
+
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (bars[mid].date <= date) low = mid + 1;
+    else high = mid;
+  }
+
+  return low;
+};
+
+// Add the previous session's close and the session's running volume to each bar,
+// matching what a stock's dailyData holds at that point in the day
+const withSessionData = (bars) => {
+  let session = null;
+  let previousClose = null;
+  let lastClose = null;
+  let sessionVolume = 0;
+
+  return bars.map(bar => {
+    const day = getZonedDate(bar.date);
+    if (day !== session) {
+      session = day;
+      previousClose = lastClose;
+      sessionVolume = 0;
+    }
+
+    sessionVolume += bar.volume || 0;
+    lastClose = bar.close;
+
+    return { ...bar, previousClose, sessionVolume };
+  });
+};
+
+// Stored history as it stood at each point of the replay, standing in for getRecentBars.
+// Each symbol and interval is loaded once; later bars are never visible to an earlier `to`.
+const createReplayHistory = (end, count) => {
+  const series = new Map();
+
+  return async (symbol, interval, { to, count: wanted = 100 } = {}) => {
+    const key = `${symbol}:${interval}`;
+    if (!series.has(key)) {
+      series.set(key, getRecentBars(symbol, interval, { to: end, count }));
+    }
+
+    const bars = await series.get(key);
+    const until = upperBound(bars, to || end);
+    return bars.slice(Math.max(0, until - wanted), until);
+  };
+};
+
+// Bars either side of a trigger
+const pricePath = (bars, index, window) => bars
+  .slice(Math.max(0, index - window), index + window + 1)
+  .map(({ date, open, high, low, close, volume }) => ({ date, open, high, low, close, volume }));
+
+// Replay stored bars through an unsaved alert, applying its trigger mode, cooldown, frequency and window.
+// Each bar is evaluated as of its last moment, so nothing after it is visible. The alert is changed
+// in memory as it would be live and must not be saved afterwards.
+export const runBacktest = async (alert, { from, to, interval = '1d', window = 5 } = {}) => {
+  const symbol = alert.stockSymbol;
+  const page = await getBars(symbol, interval, { from, to, limit: MAX_BACKTEST_BARS });
+  const bars = withSessionData(page.bars);
+
+  const result = {
+    symbol,
+    interval,
+    from,
+    to: page.hasMore ? bars[bars.length - 1].date : to,
+    bars: bars.length,
+    truncated: page.hasMore,
+    count: 0,
+    triggers: []
+  };
+
+  if (bars.length === 0) return result;
+
+  const end = new Date(bars[bars.length - 1].date.getTime() + INTERVAL_MS[interval] - 1);
+  const history = createReplayHistory(end, bars.length + LOOKBACK_BARS);
+
+  // Compound alerts read the other stocks in their group from the same replay
+  const others = alert.condition.type === 'COMPOUND'
+    ? collectGroupSymbols(alert.condition.group).filter(other => other !== symbol)
+    : [];
+  const otherBars = {};
+  for (const other of others) {
+    otherBars[other] = withSessionData((await getBars(other, interval, { from, to: end, limit: MAX_BACKTEST_BARS })).bars);
+  }
+
+  // The replay range stands in for the alert's schedule and snoozes
+  alert.startDate = null;
+  alert.endDate = null;
+  alert.expiresAt = null;
+  alert.userPreferences.snoozeUntil = null;
+
+  if (alert.condition.type === 'TRAILING_STOP' && alert.condition.trailing?.anchorDate) {
+    await alert.seedTrailingPeak(null, { asOf: new Date(bars[0].date.getTime() - 1), history });
+  }
+
+  const stock = alert.stock;
+
+  for (const [index, bar] of bars.entries()) {
+    const asOf = new Date(bar.date.getTime() + INTERVAL_MS[interval] - 1);
+
+    if (!alert.getNextTriggerTime(asOf)) break;
+
+    // As live, alerts held back by a cooldown, snooze or window keep following the price.
+    // A daily bar stands for the whole session, so evaluation windows only apply to intraday replays.
+    const observeOnly = !alert.canTriggerAt(asOf) || (interval !== '1d' && !alert.isInEvaluationWindow(asOf));
+
+    stock.currentPrice.price = bar.close;
+    stock.currentPrice.change = bar.previousClose !== null ? bar.close - bar.previousClose : 0;
+    stock.dailyData.previousClose = bar.previousClose;
+    stock.dailyData.volume = bar.sessionVolume;
+
+    const quotes = {};
+    for (const other of others) {
+      const latest = otherBars[other][upperBound(otherBars[other], asOf) - 1];
+      if (latest) {
+        quotes[other] = { symbol: other, price: latest.close, volume: latest.sessionVolume, previousClose: latest.previousClose };
+      }
+    }
+
+    // Bars before every other stock in the group has history can't be judged
+    if (Object.keys(quotes).length < others.length) continue;
+
+    const shouldTrigger = await alert.checkConditions(bar.close, bar.sessionVolume, { asOf, history, quotes, observeOnly });
+    if (!shouldTrigger) continue;
+
+    alert.applyTrigger(asOf);
+    result.triggers.push({
+      triggeredAt: asOf,
+      barDate: bar.date,
+      price: bar.close,
+      value: alert.condition.currentValue,
+      conditionsMet: alert.$locals.conditionsMet ? Object.fromEntries(alert.$locals.conditionsMet) : undefined,
+      path: pricePath(bars, index, window)
+    });
+  }
+
+  result.count = result.triggers.length;
+  return result;
+};
+
+export default {
+  BACKTEST_INTERVALS,
+  MAX_BACKTEST_BARS,
+  runBacktest
+};
@@ -0,0 +1,601 @@
+import { INDICATORS, sma, ema, rsi, macd, bollinger } from './indicators.js';
+import { getRecentBars } from './historyService.js';
+import { BAR_INTERVALS } from '../models/PriceBar.js';
+import { getZonedDate, zonedTimeToDate } from '../config/marketHours.js';
+
+// Bar lengths, used to tell whether the live price belongs to the latest stored bar
+export const INTERVAL_MS = {
+  '1m': 60 * 1000,
+  '5m': 5 * 60 * 1000,
+  '15m': 15 * 60 * 1000,
+  '1h': 60 * 60 * 1000,
+  '1d': 24 * 60 * 60 * 1000,
+  '1w': 7 * 24 * 60 * 60 * 1000,
+  '1mo': 31 * 24 * 60 * 60 * 1000
+};
+
+const last = (values, offset = 1) => values[values.length - offset];
+
+// Did `series` move from at-or-below `reference` to above it on the latest value
+const crossedAbove = (series, reference) => {
+  const [previous, current] = [last(series, 2), last(series)];
+  const [previousRef, currentRef] = [last(reference, 2), last(reference)];
+  if ([previous, current, previousRef, currentRef].some(value => value === null || value === undefined)) return false;
+  return previous <= previousRef && current > currentRef;
+};
+
+const crossedBelow = (series, reference) => {
+  const [previous, current] = [last(series, 2), last(series)];
+  const [previousRef, currentRef] = [last(reference, 2), last(reference)];
+  if ([previous, current, previousRef, currentRef].some(value => value === null || value === undefined)) return false;
+  return previous >= previousRef && current < currentRef;
+};
+
+const movingAverage = (closes, { period = 50, maType = 'SMA' }) => {
+  return maType === 'EMA' ? ema(closes, period) : sma(closes, period);
+};
+
+// Indicator conditions: how much history each needs, how to evaluate it and how to describe it.
+// evaluate returns { met, value } where value is the indicator reading recorded on trigger.
+export const INDICATOR_CONDITIONS = {
+  RSI_ABOVE: {
+    usesTarget: true,
+    bars: ({ period = 14 }) => period * 5 + 2,
+    evaluate: (closes, { period = 14 }, target) => {
+      const value = last(rsi(closes, period));
+      return { met: value !== null && value !== undefined && value >= target, value };
+    },
+    describe: ({ period = 14, interval = '1d' }, target) => `RSI(${period}, ${interval}) above ${target}`
+  },
+  RSI_BELOW: {
+    usesTarget: true,
+    bars: ({ period = 14 }) => period * 5 + 2,
+    evaluate: (closes, { period = 14 }, target) => {
+      const value = last(rsi(closes, period));
+      return { met: value !== null && value !== undefined && value <= target, value };
+    },
+    describe: ({ period = 14, interval = '1d' }, target) => `RSI(${period}, ${interval}) below ${target}`
+  },
+  PRICE_CROSS_ABOVE_MA: {
+    usesTarget: false,
+    bars: ({ period = 50, maType }) => (maType === 'EMA' ? period * 3 : period) + 2,
+    evaluate: (closes, parameters) => {
+      const average = movingAverage(closes, parameters);
+      return { met: crossedAbove(closes, average), value: last(average) };
+    },
+    describe: ({ period = 50, maType = 'SMA', interval = '1d' }) => `Price crosses above ${maType}(${period}, ${interval})`
+  },
+  PRICE_CROSS_BELOW_MA: {
+    usesTarget: false,
+    bars: ({ period = 50, maType }) => (maType === 'EMA' ? period * 3 : period) + 2,
+    evaluate: (closes, parameters) => {
+      const average = movingAverage(closes, parameters);
+      return { met: crossedBelow(closes, average), value: last(average) };
+    },
+    describe: ({ period = 50, maType = 'SMA', interval = '1d' }) => `Price crosses below ${maType}(${period}, ${interval})`
+  },
+  MACD_CROSS_ABOVE_SIGNAL: {
+    usesTarget: false,
+    bars: ({ slowPeriod = 26, signalPeriod = 9 }) => (slowPeriod + signalPeriod) * 3 + 2,
+    evaluate: (closes, { fastPeriod = 12, slowPeriod = 26, signalPeriod = 9 }) => {
+      const points = macd(closes, fastPeriod, slowPeriod, signalPeriod);
+      const met = crossedAbove(points.map(point => point.macd), points.map(point => point.signal));
+      return { met, value: last(points)?.macd ?? null };
+    },
+    describe: ({ fastPeriod = 12, slowPeriod = 26, signalPeriod = 9, interval = '1d' }) =>
+      `MACD(${fastPeriod}, ${slowPeriod}, ${signalPeriod}, ${interval}) crosses above signal line`
+  },
+  MACD_CROSS_BELOW_SIGNAL: {
+    usesTarget: false,
+    bars: ({ slowPeriod = 26, signalPeriod = 9 }) => (slowPeriod + signalPeriod) * 3 + 2,
+    evaluate: (closes, { fastPeriod = 12, slowPeriod = 26, signalPeriod = 9 }) => {
+      const points = macd(closes, fastPeriod, slowPeriod, signalPeriod);
+      const met = crossedBelow(points.map(point => point.macd), points.map(point => point.signal));
+      return { met, value: last(points)?.macd ?? null };
+    },
+    describe: ({ fastPeriod = 12, slowPeriod = 26, signalPeriod = 9, interval = '1d' }) =>
+      `MACD(${fastPeriod}, ${slowPeriod}, ${signalPeriod}, ${interval}) crosses below signal line`
+  },
+  BOLLINGER_BREAK_UPPER: {
+    usesTarget: false,
+    bars: ({ period = 20 }) => period + 2,
+    evaluate: (closes, { period = 20, stdDev = 2 }) => {
+      const bands = bollinger(closes, period, stdDev);
+      return { met: crossedAbove(closes, bands.map(band => band.upper)), value: last(bands).upper };
+    },
+    describe: ({ period = 20, stdDev = 2, interval = '1d' }) => `Price breaks above upper Bollinger Band(${period}, ${stdDev}, ${interval})`
+  },
+  BOLLINGER_BREAK_LOWER: {
+    usesTarget: false,
+    bars: ({ period = 20 }) => period + 2,
+    evaluate: (closes, { period = 20, stdDev = 2 }) => {
+      const bands = bollinger(closes, period, stdDev);
+      return { met: crossedBelow(closes, bands.map(band => band.lower)), value: last(bands).lower };
+    },
+    describe: ({ period = 20, stdDev = 2, interval = '1d' }) => `Price breaks below lower Bollinger Band(${period}, ${stdDev}, ${interval})`
+  }
+};
+
+export const isIndicatorCondition = (type) => Object.hasOwn(INDICATOR_CONDITIONS, type);
+
+// Every single-condition type, in the order the alert form lists them
+export const CONDITION_TYPES = [
+  'PRICE_ABOVE',
+  'PRICE_BELOW',
+  'PRICE_PERCENT_UP',
+  'PRICE_PERCENT_DOWN',
+  'VOLUME_ABOVE',
+  'VOLUME_BELOW',
+  'VOLUME_ABOVE_AVERAGE',
+  'PRICE_CHANGE_UP',
+  'PRICE_CHANGE_DOWN',
+  'TRAILING_STOP',
+  ...Object.keys(INDICATOR_CONDITIONS)
+];
+
+// Conditions that keep state on the alert, so they can't sit inside a group
+export const STANDALONE_CONDITIONS = ['TRAILING_STOP'];
+
+// Conditions that hold when the measured value is at or below the target, the rest hold at or above it
+export const BELOW_CONDITIONS = ['PRICE_BELOW', 'VOLUME_BELOW', 'RSI_BELOW'];
+
+// Conditions measured against the price at the start of parameters.timeFrame
+export const CHANGE_CONDITIONS = ['PRICE_PERCENT_UP', 'PRICE_PERCENT_DOWN', 'PRICE_CHANGE_UP', 'PRICE_CHANGE_DOWN'];
+
+// Whether a condition type needs a targetValue (crossovers, band breaks and groups don't)
+export const requiresTarget = (type) => {
+  if (type === 'COMPOUND') return false;
+  return !isIndicatorCondition(type) || INDICATOR_CONDITIONS[type].usesTarget;
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Look-back windows for change alerts. Intraday windows read the last 5m bar closed by the start of the
+// window; longer ones read the last session close before it, like previousClose does for one day.
+export const TIME_FRAMES = {
+  '1h': { label: '1 hour', interval: '5m', start: (asOf) => new Date(asOf.getTime() - HOUR_MS) },
+  '4h': { label: '4 hours', interval: '5m', start: (asOf) => new Date(asOf.getTime() - 4 * HOUR_MS) },
+  '1d': { label: '1 day', interval: '1d', start: (asOf) => new Date(asOf.getTime() - 24 * HOUR_MS) },
+  '1w': { label: '1 week', interval: '1d', start: (asOf) => new Date(asOf.getTime() - 7 * 24 * HOUR_MS) },
+  '1m': {
+    label: '1 month',
+    interval: '1d',
+    start: (asOf) => {
+      const start = new Date(asOf);
+      start.setUTCMonth(start.getUTCMonth() - 1);
+      return start;
+    }
+  }
+};
+
+// Price at the start of a look-back window, adjusted for later splits and dividends
+export const getReferencePrice = async (symbol, timeFrame, { asOf = new Date(), history = getRecentBars } = {}) => {
+  const { interval, start } = TIME_FRAMES[timeFrame];
+  const windowStart = start(asOf);
+
+  // Bars are dated at their open, so step back one bar to get the last one that closed in time
+  const to = interval === '1d'
+    ? new Date(zonedTimeToDate(getZonedDate(windowStart)).getTime() - 1)
+    : new Date(windowStart.getTime() - INTERVAL_MS[interval]);
+
+  const [bar] = await history(symbol, interval, { to, count: 1 });
+  return bar ? bar.close : null;
+};
+
+// Suffix naming a change alert's window, empty for the default of one day
+export const describeTimeFrame = (timeFrame) => {
+  return timeFrame && timeFrame !== '1d' && TIME_FRAMES[timeFrame] ? ` over ${TIME_FRAMES[timeFrame].label}` : '';
+};
+
+// Strip unset parameters so each condition's defaults apply
+const cleanParameters = (parameters = {}) => {
+  const plain = typeof parameters.toObject === 'function' ? parameters.toObject() : parameters;
+  return Object.fromEntries(Object.entries(plain).filter(([, value]) => value !== null && value !== undefined));
+};
+
+// Closing prices up to asOf, with the live price standing in for the latest bar
+const loadCloses = async (symbol, currentPrice, { interval, count, asOf, history }) => {
+  const bars = await history(symbol, interval, { to: asOf, count });
+  const closes = bars.map(bar => bar.close);
+
+  if (currentPrice !== null && currentPrice !== undefined) {
+    const latest = bars[bars.length - 1];
+    if (latest && asOf - latest.date < INTERVAL_MS[interval]) {
+      closes[closes.length - 1] = currentPrice;
+    } else {
+      closes.push(currentPrice);
+    }
+  }
+
+  return closes;
+};
+
+// Evaluate an indicator condition against stored history.
+// context: { asOf, history(symbol, interval, { to, count }) }
+export const evaluateIndicatorCondition = async (symbol, condition, currentPrice, context = {}) => {
+  const definition = INDICATOR_CONDITIONS[condition.type];
+  const parameters = cleanParameters(condition.parameters);
+  const interval = parameters.interval || '1d';
+
+  const closes = await loadCloses(symbol, currentPrice, {
+    interval,
+    count: definition.bars(parameters),
+    asOf: context.asOf || new Date(),
+    history: context.history || getRecentBars
+  });
+
+  return definition.evaluate(closes, parameters, condition.targetValue);
+};
+
+// Human-readable description of an indicator condition
+export const describeIndicatorCondition = (condition) => {
+  return INDICATOR_CONDITIONS[condition.type].describe(cleanParameters(condition.parameters), condition.targetValue);
+};
+
+// Average daily volume over the sessions before asOf
+export const getAverageVolume = async (symbol, period = 20, { asOf = new Date(), history = getRecentBars } = {}) => {
+  const to = new Date(zonedTimeToDate(getZonedDate(asOf)).getTime() - 1);
+  const bars = await history(symbol, '1d', { to, count: period });
+  if (bars.length === 0) return null;
+
+  return bars.reduce((sum, bar) => sum + (bar.volume || 0), 0) / bars.length;
+};
+
+// Price a trailing stop triggers at, null until it has a peak
+export const getTrailingStopLevel = (condition) => {
+  const peak = condition.trailing?.peak;
+  if (peak === null || peak === undefined) return null;
+
+  return condition.parameters?.comparisonType === 'percentage'
+    ? peak * (1 - condition.targetValue / 100)
+    : peak - condition.targetValue;
+};
+
+// Raise a trailing stop's high-water mark, returning whether it moved
+export const updateTrailingPeak = (condition, price, at = new Date()) => {
+  if (price === null || price === undefined) return false;
+
+  const { trailing } = condition;
+  if (trailing.peak !== null && trailing.peak !== undefined && price <= trailing.peak) return false;
+
+  trailing.peak = price;
+  trailing.peakAt = at;
+  return true;
+};
+
+// Highest daily high since an anchor date as { peak, date }, adjusted for later splits and dividends
+export const getPeakSince = async (symbol, anchorDate, { asOf = new Date(), history = getRecentBars } = {}) => {
+  const from = zonedTimeToDate(getZonedDate(anchorDate));
+  const sessions = Math.ceil((asOf - from) / INTERVAL_MS['1d']) + 1;
+  const bars = await history(symbol, '1d', { to: asOf, count: Math.min(sessions, 5000) });
+
+  return bars
+    .filter(bar => bar.date >= from)
+    .reduce((best, bar) => (!best || bar.high > best.peak ? { peak: bar.high, date: bar.date } : best), null);
+};
+
+// Where a trailing stop stands relative to a price
+export const getTrailingStopStatus = (condition, price) => {
+  const stopPrice = getTrailingStopLevel(condition);
+  const distance = stopPrice !== null && price ? price - stopPrice : null;
+
+  return {
+    anchorDate: condition.trailing?.anchorDate ?? null,
+    peak: condition.trailing?.peak ?? null,
+    peakAt: condition.trailing?.peakAt ?? null,
+    stopPrice: stopPrice !== null ? Math.round(stopPrice * 10000) / 10000 : null,
+    distance: distance !== null ? Math.round(distance * 10000) / 10000 : null,
+    distancePercent: distance !== null ? Math.round((distance / price) * 10000) / 100 : null
+  };
+};
+
+// Quote data a condition is measured against
+export const toSnapshot = (stock, price = null, volume = null) => ({
+  symbol: stock.symbol,
+  price: price ?? stock.currentPrice?.price ?? null,
+  volume: volume ?? stock.dailyData?.volume ?? null,
+  previousClose: stock.dailyData?.previousClose ?? null
+});
+
+// Price change conditions are measured from: the previous close for one day, stored history otherwise
+const getChangeReference = (condition, snapshot, context) => {
+  const timeFrame = condition.parameters?.timeFrame || '1d';
+
+  if (timeFrame === '1d') {
+    return snapshot.previousClose;
+  }
+
+  return getReferencePrice(snapshot.symbol, timeFrame, { asOf: context.asOf, history: context.history });
+};
+
+// Measure a single condition against a snapshot, returning { met, value }.
+// Indicator conditions read stored history; context can pin `asOf` or supply `history`.
+export const measureCondition = async (condition, snapshot, context = {}) => {
+  const { type, targetValue } = condition;
+  const { price, volume } = snapshot;
+
+  if (isIndicatorCondition(type)) {
+    return evaluateIndicatorCondition(snapshot.symbol, condition, price, context);
+  }
+
+  if (price === null || price === undefined) return { met: false, value: null };
+
+  if (type === 'TRAILING_STOP') {
+    const stopPrice = getTrailingStopLevel(condition);
+    return stopPrice === null ? { met: false, value: null } : { met: price <= stopPrice, value: price };
+  }
+
+  const reference = CHANGE_CONDITIONS.includes(type) ? await getChangeReference(condition, snapshot, context) : null;
+  const inPercent = condition.parameters?.comparisonType === 'percentage';
+  let value;
+
+  switch (type) {
+    case 'PRICE_ABOVE':
+    case 'PRICE_BELOW':
+      value = price;
+      break;
+
+    case 'PRICE_PERCENT_UP':
+      value = reference ? ((price - reference) / reference) * 100 : null;
+      break;
+
+    case 'PRICE_PERCENT_DOWN':
+      value = reference ? ((reference - price) / reference) * 100 : null;
+      break;
+
+    case 'VOLUME_ABOVE':
+    case 'VOLUME_BELOW':
+      value = volume || null;
+      break;
+
+    // Session volume so far as a multiple of the average full-session volume
+    case 'VOLUME_ABOVE_AVERAGE': {
+      const average = volume ? await getAverageVolume(snapshot.symbol, condition.parameters?.period || 20, context) : null;
+      value = average ? volume / average : null;
+      break;
+    }
+
+    case 'PRICE_CHANGE_UP':
+      value = reference ? price - reference : null;
+      if (value !== null && inPercent) value = (value / reference) * 100;
+      break;
+
+    case 'PRICE_CHANGE_DOWN':
+      value = reference ? reference - price : null;
+      if (value !== null && inPercent) value = (value / reference) * 100;
+      break;
+
+    default:
+      value = null;
+  }
+
+  if (value === null) return { met: false, value };
+
+  return {
+    met: BELOW_CONDITIONS.includes(type) ? value <= targetValue : value >= targetValue,
+    value
+  };
+};
+
+const formatNumber = (num) => {
+  if (num >= 1000000) {
+    return (num / 1000000).toFixed(1) + 'M';
+  } else if (num >= 1000) {
+    return (num / 1000).toFixed(1) + 'K';
+  }
+  return num.toString();
+};
+
+// Human-readable description of a condition or condition group
+export const describeCondition = (condition) => {
+  const { type, targetValue } = condition;
+
+  if (type === 'COMPOUND') {
+    return describeConditionGroup(condition.group);
+  }
+
+  if (isIndicatorCondition(type)) {
+    return describeIndicatorCondition(condition);
+  }
+
+  const { timeFrame, comparisonType, period = 20 } = condition.parameters || {};
+  const window = describeTimeFrame(timeFrame);
+  const change = comparisonType === 'percentage' ? `${targetValue}%` : `$${targetValue}`;
+
+  const descriptions = {
+    'PRICE_ABOVE': `Price above $${targetValue}`,
+    'PRICE_BELOW': `Price below $${targetValue}`,
+    'PRICE_PERCENT_UP': `Price up ${targetValue}%${window}`,
+    'PRICE_PERCENT_DOWN': `Price down ${targetValue}%${window}`,
+    'VOLUME_ABOVE': `Volume above ${formatNumber(targetValue)}`,
+    'VOLUME_BELOW': `Volume below ${formatNumber(targetValue)}`,
+    'VOLUME_ABOVE_AVERAGE': `Volume above ${targetValue}x ${period}-day average`,
+    'PRICE_CHANGE_UP': `Price change up ${change}${window}`,
+    'PRICE_CHANGE_DOWN': `Price change down ${change}${window}`,
+    'TRAILING_STOP': `Price falls ${change} below its high${condition.trailing?.anchorDate ? ` since ${getZonedDate(condition.trailing.anchorDate)}` : ''}`
+  };
+
+  return descriptions[type] || 'Custom condition';
+};
+
+// Condition groups: { operator: 'AND' | 'OR', conditions: [condition | group] }.
+// Each condition in a group names its own symbol, so a group can span stocks.
+export const GROUP_OPERATORS = ['AND', 'OR'];
+export const MAX_GROUP_DEPTH = 3;
+export const MAX_GROUP_CONDITIONS = 10;
+
+const isGroup = (node) => Array.isArray(node?.conditions);
+
+// Visit every condition in a group
+const eachCondition = (group, visit) => {
+  group.conditions.forEach(node => (isGroup(node) ? eachCondition(node, visit) : visit(node)));
+};
+
+// Symbols referenced anywhere in a group
+export const collectGroupSymbols = (group) => {
+  const symbols = new Set();
+  eachCondition(group, condition => symbols.add(condition.symbol));
+  return [...symbols];
+};
+
+// Values and bounds for a group condition's parameters, matching the alert schema and services/indicators.js
+const PARAMETER_RULES = {
+  timeFrame: { values: Object.keys(TIME_FRAMES) },
+  comparisonType: { values: ['absolute', 'percentage'] },
+  interval: { values: BAR_INTERVALS },
+  maType: { values: ['SMA', 'EMA'] },
+  period: INDICATORS.sma.params.period,
+  fastPeriod: INDICATORS.macd.params.fastPeriod,
+  slowPeriod: INDICATORS.macd.params.slowPeriod,
+  signalPeriod: INDICATORS.macd.params.signalPeriod,
+  stdDev: INDICATORS.bollinger.params.stdDev
+};
+
+// Check a group condition's parameters, throwing an Error naming the first one that isn't allowed
+const validateConditionParameters = (parameters) => {
+  if (parameters === undefined || parameters === null) return;
+
+  if (typeof parameters !== 'object' || Array.isArray(parameters)) {
+    throw new Error('Condition parameters must be an object');
+  }
+
+  Object.entries(parameters).forEach(([key, value]) => {
+    if (value === null || value === undefined) return;
+
+    const rule = PARAMETER_RULES[key];
+    if (!rule) {
+      throw new Error(`Unknown condition parameter: ${key}`);
+    }
+
+    if (rule.values) {
+      if (!rule.values.includes(value)) {
+        throw new Error(`${key} must be one of: ${rule.values.join(', ')}`);
+      }
+      return;
+    }
+
+    const isNumber = typeof value === 'number' && (rule.fractional ? Number.isFinite(value) : Number.isInteger(value));
+    if (!isNumber || value < rule.min || value > rule.max) {
+      throw new Error(`${key} must be ${rule.fractional ? 'a number' : 'a whole number'} from ${rule.min} to ${rule.max}`);
+    }
+  });
+};
+
+// Check a group's shape, throwing an Error describing the first problem found
+export const validateConditionGroup = (group, depth = 1) => {
+  if (!group || typeof group !== 'object' || !GROUP_OPERATORS.includes(group.operator)) {
+    throw new Error('Condition group operator must be AND or OR');
+  }
+
+  if (!Array.isArray(group.conditions) || group.conditions.length === 0) {
+    throw new Error('Condition group must contain at least one condition');
+  }
+
+  if (depth > MAX_GROUP_DEPTH) {
+    throw new Error(`Condition groups cannot be nested more than ${MAX_GROUP_DEPTH} deep`);
+  }
+
+  let count = 0;
+
+  group.conditions.forEach(node => {
+    if (isGroup(node)) {
+      count += validateConditionGroup(node, depth + 1);
+      return;
+    }
+
+    if (!node || !CONDITION_TYPES.includes(node.type)) {
+      throw new Error(`Invalid condition type: ${node?.type}`);
+    }
+
+    if (STANDALONE_CONDITIONS.includes(node.type)) {
+      throw new Error(`${node.type} cannot be used inside a condition group`);
+    }
+
+    if (requiresTarget(node.type) && (typeof node.targetValue !== 'number' || node.targetValue < 0)) {
+      throw new Error(`Target value must be a positive number for ${node.type}`);
+    }
+
+    if (node.symbol !== undefined && (typeof node.symbol !== 'string' || !/^[A-Za-z0-9.\-]{1,10}$/.test(node.symbol))) {
+      throw new Error(`Invalid symbol in condition group: ${node.symbol}`);
+    }
+
+    validateConditionParameters(node.parameters);
+
+    count += 1;
+  });
+
+  if (depth === 1 && count > MAX_GROUP_CONDITIONS) {
+    throw new Error(`Condition groups cannot hold more than ${MAX_GROUP_CONDITIONS} conditions`);
+  }
+
+  return count;
+};
+
+// Evaluate a group against per-symbol snapshots. Every condition is measured, so `results` holds
+// one entry per condition and nested group keyed by index path, e.g. '0', '1/0'.
+export const evaluateConditionGroup = async (group, snapshots, context = {}, path = '') => {
+  const results = new Map();
+  const outcomes = [];
+
+  for (const [index, node] of group.conditions.entries()) {
+    const key = path ? `${path}/${index}` : `${index}`;
+    let met;
+
+    if (isGroup(node)) {
+      const nested = await evaluateConditionGroup(node, snapshots, context, key);
+      nested.results.forEach((value, nestedKey) => results.set(nestedKey, value));
+      met = nested.met;
+    } else {
+      // A symbol with no quote can't be judged either way, so the evaluation fails rather than reading as unmet
+      const snapshot = snapshots[node.symbol];
+      if (!snapshot) throw new Error(`No quote for ${node.symbol} in condition group`);
+      met = (await measureCondition(node, snapshot, context)).met;
+    }
+
+    results.set(key, met);
+    outcomes.push(met);
+  }
+
+  return {
+    met: group.operator === 'OR' ? outcomes.some(Boolean) : outcomes.every(Boolean),
+    results
+  };
+};
+
+// Human-readable description of a condition group
+export const describeConditionGroup = (group) => {
+  const parts = group.conditions.map(node => (isGroup(node)
+    ? `(${describeConditionGroup(node)})`
+    : `${node.symbol ? `${node.symbol} ` : ''}${describeCondition(node)}`));
+
+  return parts.join(` ${group.operator} `);
+};
+
+export default {
+  INTERVAL_MS,
+  INDICATOR_CONDITIONS,
+  CONDITION_TYPES,
+  STANDALONE_CONDITIONS,
+  BELOW_CONDITIONS,
+  CHANGE_CONDITIONS,
+  TIME_FRAMES,
+  GROUP_OPERATORS,
+  requiresTarget,
+  getReferencePrice,
+  getAverageVolume,
+  describeTimeFrame,
+  isIndicatorCondition,
+  evaluateIndicatorCondition,
+  describeIndicatorCondition,
+  getTrailingStopLevel,
+  updateTrailingPeak,
+  getPeakSince,
+  getTrailingStopStatus,
+  toSnapshot,
+  measureCondition,
+  describeCondition,
+  collectGroupSymbols,
+  validateConditionGroup,
+  evaluateConditionGroup,
+  describeConditionGroup
+};
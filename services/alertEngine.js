@@ -0,0 +1,205 @@
+import Alert from '../models/Alert.js';
+import Stock from '../models/Stock.js';
+import AlertEvent from '../models/AlertEvent.js';
+import { onQuote } from './marketEvents.js';
+import { dispatchAlert } from './notificationDispatcher.js';
+import { getEnvironmentConfig } from '../config/environment.js';
+import { logger } from '../middleware/logger.js';
+
+// Engine state
+let unsubscribe = null;
+let drainScheduled = false;
+
+// Symbols waiting for evaluation with their latest quote, and symbols being evaluated
+const pending = new Map();
+const inFlight = new Set();
+
+const stats = {
+  evaluations: 0,
+  alertsChecked: 0,
+  triggered: 0,
+  failed: 0,
+  lastEvaluatedAt: null
+};
+
+// Recent evaluation durations in ms, by what started the evaluation
+const latency = {
+  quote: [],
+  scheduled: []
+};
+
+const recordLatency = (source, ms) => {
+  const samples = latency[source];
+  samples.push(ms);
+
+  const { latencySamples } = getEnvironmentConfig().alerts;
+  if (samples.length > latencySamples) {
+    samples.splice(0, samples.length - latencySamples);
+  }
+};
+
+const percentile = (sorted, p) => sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))];
+
+const summarizeLatency = (samples) => {
+  if (samples.length === 0) return { count: 0 };
+
+  const sorted = [...samples].sort((a, b) => a - b);
+  return {
+    count: samples.length,
+    last: samples[samples.length - 1],
+    avg: Math.round(samples.reduce((sum, value) => sum + value, 0) / samples.length),
+    p50: percentile(sorted, 0.5),
+    p95: percentile(sorted, 0.95),
+    max: sorted[sorted.length - 1]
+  };
+};
+
+// Evaluate every active alert on a symbol and dispatch the ones that trigger.
+// Quote-driven evaluations measure latency from when the quote arrived.
+export const evaluateSymbol = async (symbol, { price, volume, source = 'scheduled', receivedAt = Date.now(), now = new Date() } = {}) => {
+  const result = { symbol, checked: 0, triggered: 0, failed: 0 };
+
+  const stock = await Stock.findOne({ symbol });
+  const currentPrice = price ?? stock?.currentPrice?.price;
+  if (!stock || currentPrice === null || currentPrice === undefined) return result;
+
+  const { checked, triggered, failed } = await Alert.checkStockAlerts(
+    stock,
+    currentPrice,
+    volume ?? stock.dailyData?.volume ?? null,
+    { asOf: now }
+  );
+
+  failed.forEach(({ alert, error }) => {
+    logger.error('Alert evaluation failed', { alertId: alert._id, symbol, error: error.message });
+  });
+
+  for (const alert of triggered) {
+    const deliveries = await dispatchAlert(alert, now);
+    await AlertEvent.record(alert, deliveries).catch(error => {
+      logger.error('Failed to record alert event', { alertId: alert._id, error: error.message });
+    });
+  }
+
+  result.checked = checked;
+  result.triggered = triggered.length;
+  result.failed = failed.length;
+
+  stats.evaluations += 1;
+  stats.alertsChecked += checked;
+  stats.triggered += triggered.length;
+  stats.failed += failed.length;
+  stats.lastEvaluatedAt = new Date();
+  recordLatency(source, Date.now() - receivedAt);
+
+  return result;
+};
+
+// Evaluate queued symbols, one evaluation per symbol at a time
+const drainPending = () => {
+  drainScheduled = false;
+
+  for (const [symbol, quote] of pending) {
+    if (inFlight.has(symbol)) continue;
+
+    pending.delete(symbol);
+    inFlight.add(symbol);
+
+    evaluateSymbol(symbol, { ...quote, source: 'quote' })
+      .catch(error => logger.error('Alert evaluation error:', error))
+      .finally(() => {
+        inFlight.delete(symbol);
+        // A newer quote arrived mid-evaluation
+        if (pending.has(symbol)) scheduleDrain();
+      });
+  }
+};
+
+const scheduleDrain = () => {
+  if (drainScheduled) return;
+  drainScheduled = true;
+  setImmediate(drainPending);
+};
+
+// Only the latest quote per symbol matters, so bursts collapse into one evaluation
+const handleQuote = (quote) => {
+  if (quote.price === null || quote.price === undefined) return;
+
+  pending.set(quote.symbol, {
+    price: quote.price,
+    volume: quote.volume,
+    receivedAt: Date.now()
+  });
+  scheduleDrain();
+};
+
+// Evaluate every symbol with active alerts, skipping ones a quote is already evaluating.
+// Symbols compound alerts read from other stocks are included.
+export const evaluateAllAlerts = async (now = new Date()) => {
+  const filter = { isActive: true, status: 'ACTIVE' };
+  const [alertSymbols, watchSymbols] = await Promise.all([
+    Alert.distinct('stockSymbol', filter),
+    Alert.distinct('watchSymbols', filter)
+  ]);
+  const symbols = [...new Set([...alertSymbols, ...watchSymbols])];
+  const result = { symbols: 0, checked: 0, triggered: 0, failed: 0 };
+
+  for (const symbol of symbols) {
+    if (inFlight.has(symbol)) continue;
+
+    inFlight.add(symbol);
+    try {
+      const evaluation = await evaluateSymbol(symbol, { source: 'scheduled', now });
+      result.symbols += 1;
+      result.checked += evaluation.checked;
+      result.triggered += evaluation.triggered;
+      result.failed += evaluation.failed;
+    } catch (error) {
+      logger.error('Alert evaluation error:', error);
+      result.failed += 1;
+    } finally {
+      inFlight.delete(symbol);
+    }
+  }
+
+  return result;
+};
+
+// Start evaluating alerts as quotes are published
+export const startAlertEngine = () => {
+  const { features, alerts } = getEnvironmentConfig();
+
+  if (!features.alerts || !alerts.evaluateOnQuote || unsubscribe) return;
+
+  unsubscribe = onQuote(handleQuote);
+  logger.info('Alert engine listening for quotes');
+};
+
+// Stop listening for quotes, dropping anything not yet evaluated
+export const stopAlertEngine = () => {
+  if (unsubscribe) {
+    unsubscribe();
+    unsubscribe = null;
+  }
+  pending.clear();
+};
+
+// Get engine status and latency metrics for health checks
+export const getAlertEngineStatus = () => ({
+  listening: !!unsubscribe,
+  pending: pending.size,
+  inFlight: inFlight.size,
+  ...stats,
+  latency: {
+    quote: summarizeLatency(latency.quote),
+    scheduled: summarizeLatency(latency.scheduled)
+  }
+});
+
+export default {
+  evaluateSymbol,
+  evaluateAllAlerts,
+  startAlertEngine,
+  stopAlertEngine,
+  getAlertEngineStatus
+};
@@ -0,0 +1,92 @@
+import {
+  MARKET_SESSIONS,
+  getMarketHoursConfig,
+  getMarketSession,
+  getZonedTime,
+  getZonedDate,
+  zonedTimeToDate,
+  toMinutes
+} from '../config/marketHours.js';
+
+// When an alert is evaluated: any time, the regular session, regular plus pre/after-hours, or set times
+export const EVALUATION_WINDOWS = ['ANYTIME', 'REGULAR', 'EXTENDED', 'CUSTOM'];
+
+// 'HH:mm' on the 24 hour clock
+export const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Whether Intl knows an IANA time zone name
+export const isValidTimeZone = (zone) => {
+  if (typeof zone !== 'string' || zone === '') return false;
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: zone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// A stored time zone, or the exchange's when unset or not valid
+const resolveTimeZone = (zone) => (isValidTimeZone(zone) ? zone : getMarketHoursConfig().timezone);
+
+// Whether minutes after midnight fall in [start, end), windows ending before they start run past midnight
+const isBetween = (minutes, start, end) => {
+  const from = toMinutes(start);
+  const to = toMinutes(end);
+
+  return from <= to
+    ? minutes >= from && minutes < to
+    : minutes >= from || minutes < to;
+};
+
+// Whether an alert may be evaluated at a point in time
+export const isInEvaluationWindow = (window, date = new Date()) => {
+  const mode = window?.mode || 'ANYTIME';
+
+  switch (mode) {
+    case 'REGULAR':
+      return getMarketSession(date) === MARKET_SESSIONS.REGULAR;
+
+    case 'EXTENDED':
+      return getMarketSession(date) !== MARKET_SESSIONS.CLOSED;
+
+    case 'CUSTOM': {
+      const { tradingDays } = getMarketHoursConfig();
+      const { weekday, minutes } = getZonedTime(date, resolveTimeZone(window.timezone));
+      const days = window.days?.length ? window.days : tradingDays;
+
+      return days.includes(weekday) && isBetween(minutes, window.start, window.end);
+    }
+
+    default:
+      return true;
+  }
+};
+
+// Whether a user's quiet hours are in effect at a point in time
+export const isQuietTime = (quietHours, date = new Date()) => {
+  if (!quietHours?.enabled || !quietHours.start || !quietHours.end) return false;
+
+  const { minutes } = getZonedTime(date, resolveTimeZone(quietHours.timezone));
+  return isBetween(minutes, quietHours.start, quietHours.end);
+};
+
+// When the quiet hours in effect at `date` finish
+export const getQuietHoursEnd = (quietHours, date = new Date()) => {
+  const timezone = resolveTimeZone(quietHours.timezone);
+  const end = zonedTimeToDate(`${getZonedDate(date, timezone)} ${quietHours.end}:00`, timezone);
+  if (end > date) return end;
+
+  return zonedTimeToDate(`${getZonedDate(new Date(date.getTime() + DAY_MS), timezone)} ${quietHours.end}:00`, timezone);
+};
+
+export default {
+  EVALUATION_WINDOWS,
+  TIME_OF_DAY,
+  isValidTimeZone,
+  isInEvaluationWindow,
+  isQuietTime,
+  getQuietHoursEnd
+};
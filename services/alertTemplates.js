@@ -0,0 +1,154 @@
+import { formatCurrency, formatPercentage, formatNumber, formatDate, formatRelativeTime } from './utils/formatters.js';
+
+// Message used when an alert has no template of its own
+export const DEFAULT_MESSAGE_TEMPLATE = 'Alert: {{name}}\n{{condition}}\nCurrent price: {{price}}';
+
+// Placeholders a template can use: the kind of value each holds and the format applied when none is given
+export const TEMPLATE_PLACEHOLDERS = {
+  name: { type: 'text', format: null },
+  symbol: { type: 'text', format: null },
+  company: { type: 'text', format: null },
+  price: { type: 'numeric', format: 'currency' },
+  changePercent: { type: 'numeric', format: 'percent' },
+  target: { type: 'numeric', format: 'number' },
+  condition: { type: 'text', format: null },
+  triggeredAt: { type: 'date', format: 'datetime' },
+  user: { type: 'text', format: null }
+};
+
+// Formats and the kind of value each applies to, matching how the client shows the same values
+// (services/utils/formatters.js). Text placeholders take no format.
+export const TEMPLATE_FORMATS = {
+  currency: { type: 'numeric', apply: (value) => formatCurrency(value) },
+  percent: { type: 'numeric', apply: (value) => formatPercentage(value) },
+  number: { type: 'numeric', apply: (value) => formatNumber(value) },
+  date: { type: 'date', apply: (value) => formatDate(value) },
+  datetime: { type: 'date', apply: (value) => formatDate(value, true) },
+  relative: { type: 'date', apply: (value) => formatRelativeTime(value) }
+};
+
+const TAG = /\{\{\s*(.*?)\s*\}\}/g;
+
+const checkPlaceholder = (name) => {
+  if (!Object.hasOwn(TEMPLATE_PLACEHOLDERS, name)) {
+    throw new Error(`Unknown placeholder in message template: ${name}`);
+  }
+};
+
+// Parse a template into a tree of text, value and if-section nodes, throwing an Error describing the
+// first problem found. Syntax: {{price}}, {{price | number}}, {{#if target}}...{{else}}...{{/if}}
+export const parseTemplate = (template) => {
+  const nodes = [];
+  const sections = [];
+  let current = nodes;
+  let index = 0;
+
+  for (const match of template.matchAll(TAG)) {
+    if (match.index > index) {
+      current.push({ type: 'text', text: template.slice(index, match.index) });
+    }
+    index = match.index + match[0].length;
+
+    const tag = match[1];
+    const open = sections[sections.length - 1];
+
+    if (tag.startsWith('#if ')) {
+      const name = tag.slice(4).trim();
+      checkPlaceholder(name);
+
+      const node = { type: 'if', name, then: [], otherwise: [] };
+      current.push(node);
+      sections.push({ node, parent: current, inElse: false });
+      current = node.then;
+    } else if (tag === 'else') {
+      if (!open || open.inElse) {
+        throw new Error('{{else}} must be inside an {{#if}} section');
+      }
+      open.inElse = true;
+      current = open.node.otherwise;
+    } else if (tag === '/if') {
+      if (!open) {
+        throw new Error('{{/if}} has no matching {{#if}}');
+      }
+      sections.pop();
+      current = open.parent;
+    } else {
+      const [name, format, ...rest] = tag.split('|').map(part => part.trim());
+      checkPlaceholder(name);
+
+      if (rest.length > 0 || (format !== undefined && !Object.hasOwn(TEMPLATE_FORMATS, format))) {
+        throw new Error(`Unknown format in message template: ${tag}`);
+      }
+
+      const placeholder = TEMPLATE_PLACEHOLDERS[name];
+      if (format !== undefined && TEMPLATE_FORMATS[format].type !== placeholder.type) {
+        throw new Error(`Format ${format} can't be used with ${placeholder.type} placeholder ${name}`);
+      }
+
+      current.push({ type: 'value', name, format: format ?? placeholder.format });
+    }
+  }
+
+  if (sections.length > 0) {
+    throw new Error(`{{#if ${sections[sections.length - 1].node.name}}} is never closed`);
+  }
+
+  if (index < template.length) {
+    current.push({ type: 'text', text: template.slice(index) });
+  }
+
+  return nodes;
+};
+
+const isPresent = (value) => value !== null && value !== undefined && value !== '';
+
+const renderNodes = (nodes, values) => nodes.map(node => {
+  if (node.type === 'text') return node.text;
+
+  const value = values[node.name];
+
+  if (node.type === 'if') {
+    return renderNodes(isPresent(value) ? node.then : node.otherwise, values);
+  }
+
+  if (node.format) return TEMPLATE_FORMATS[node.format].apply(isPresent(value) ? value : null);
+  return isPresent(value) ? String(value) : '';
+}).join('');
+
+// Render a template against placeholder values
+export const renderTemplate = (template, values = {}) => renderNodes(parseTemplate(template), values);
+
+// Placeholder values for an alert. Uses the populated stock and user when present.
+export const getTemplateValues = (alert) => {
+  const stock = alert.stock?.symbol ? alert.stock : null;
+  const user = alert.user?.username ? alert.user : null;
+  const price = alert.triggerData?.priceAtTrigger ?? stock?.currentPrice?.price ?? null;
+  const previousClose = stock?.dailyData?.previousClose;
+
+  const changePercent = price !== null && previousClose
+    ? ((price - previousClose) / previousClose) * 100
+    : stock?.currentPrice?.changePercent ?? null;
+
+  const firstName = user?.profile?.firstName;
+
+  return {
+    name: alert.name,
+    symbol: alert.stockSymbol,
+    company: stock?.companyName || null,
+    price,
+    changePercent,
+    target: alert.condition?.targetValue ?? null,
+    condition: alert.conditionDescription,
+    triggeredAt: alert.triggeredAt || null,
+    user: firstName || user?.username || null
+  };
+};
+
+export default {
+  DEFAULT_MESSAGE_TEMPLATE,
+  TEMPLATE_PLACEHOLDERS,
+  TEMPLATE_FORMATS,
+  parseTemplate,
+  renderTemplate,
+  getTemplateValues
+};
@@ -0,0 +1,38 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parseTemplate, renderTemplate } from './alertTemplates.js';
+
+const values = {
+  name: 'Breakout',
+  symbol: 'AAPL',
+  price: 187.5,
+  changePercent: 2.25,
+  target: 185,
+  triggeredAt: new Date('2026-03-02T15:30:00Z')
+};
+
+test('numeric and date placeholders render with their default formats', () => {
+  assert.equal(
+    renderTemplate('{{symbol}} at {{price}} ({{changePercent}}), target {{target}}', values),
+    'AAPL at $187.50 (+2.25%), target 185'
+  );
+});
+
+test('formats suited to a placeholder can replace its default', () => {
+  assert.equal(renderTemplate('{{price | number}} {{triggeredAt | date}}', values), '187.5 Mar 2, 2026');
+});
+
+test('number formats are rejected on text placeholders', () => {
+  assert.throws(() => parseTemplate('{{name | percent}}'), /Format percent can't be used with text placeholder name/);
+  assert.throws(() => parseTemplate('{{symbol | currency}}'), /Format currency can't be used with text placeholder symbol/);
+});
+
+test('date and number formats are not interchangeable', () => {
+  assert.throws(() => parseTemplate('{{price | relative}}'), /numeric placeholder price/);
+  assert.throws(() => parseTemplate('{{triggeredAt | currency}}'), /date placeholder triggeredAt/);
+});
+
+test('unknown placeholders and formats are rejected', () => {
+  assert.throws(() => parseTemplate('{{volume}}'), /Unknown placeholder in message template: volume/);
+  assert.throws(() => parseTemplate('{{price | euros}}'), /Unknown format in message template/);
+});
@@ -0,0 +1,270 @@
+// Moving alerts between accounts: a portable shape matching the create payload, CSV conversion and
+// duplicate detection. Only what the owner configured is carried over, never evaluation state.
+
+// Most rows accepted in one import
+export const MAX_IMPORT_ROWS = 500;
+
+// Columns in an exported CSV. Nested settings are JSON, lists are separated by '|'.
+export const CSV_COLUMNS = [
+  'stockSymbol',
+  'name',
+  'description',
+  'conditionType',
+  'targetValue',
+  'triggerMode',
+  'rearmPercent',
+  'parameters',
+  'group',
+  'anchorDate',
+  'priority',
+  'notificationTypes',
+  'frequency',
+  'maxSends',
+  'cooldownMinutes',
+  'messageTemplate',
+  'category',
+  'tags',
+  'startDate',
+  'endDate',
+  'evaluationWindow'
+];
+
+const plain = (value) => (value && typeof value.toObject === 'function' ? value.toObject() : value);
+
+// Drop unset values so defaults apply on import
+const compact = (object) => Object.fromEntries(
+  Object.entries(object).filter(([, value]) => value !== null && value !== undefined && value !== '')
+);
+
+// An alert as a create payload
+export const toPortableAlert = (alert) => {
+  const { condition, notification } = alert;
+  const window = plain(alert.evaluationWindow);
+
+  return compact({
+    stockSymbol: alert.stockSymbol,
+    name: alert.name,
+    description: alert.description,
+    condition: compact({
+      type: condition.type,
+      targetValue: condition.targetValue,
+      triggerMode: condition.triggerMode,
+      rearmPercent: condition.rearmPercent,
+      parameters: compact(plain(condition.parameters) || {}),
+      group: condition.group,
+      trailing: condition.trailing?.anchorDate ? { anchorDate: condition.trailing.anchorDate } : null
+    }),
+    priority: alert.priority,
+    notification: compact({
+      types: [...(notification?.types || [])],
+      frequency: notification?.frequency,
+      maxSends: notification?.maxSends,
+      cooldownMinutes: notification?.cooldownMinutes,
+      messageTemplate: notification?.messageTemplate
+    }),
+    category: alert.category,
+    tags: [...(alert.tags || [])],
+    // A start date only matters while it is still ahead
+    startDate: alert.startDate > new Date() ? alert.startDate : null,
+    endDate: alert.endDate,
+    evaluationWindow: window?.mode && window.mode !== 'ANYTIME' ? compact(window) : null
+  });
+};
+
+// Quote a CSV cell when it holds a separator, quote or line break
+const toCsvCell = (value) => {
+  if (value === null || value === undefined) return '';
+
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toJsonCell = (value) => (value && Object.keys(value).length > 0 ? JSON.stringify(value) : '');
+
+// Portable alerts as CSV text with a header row
+export const toCsv = (alerts) => {
+  const rows = alerts.map(alert => {
+    const { condition, notification = {} } = alert;
+
+    const cells = {
+      stockSymbol: alert.stockSymbol,
+      name: alert.name,
+      description: alert.description,
+      conditionType: condition.type,
+      targetValue: condition.targetValue,
+      triggerMode: condition.triggerMode,
+      rearmPercent: condition.rearmPercent,
+      parameters: toJsonCell(condition.parameters),
+      group: toJsonCell(condition.group),
+      anchorDate: condition.trailing?.anchorDate,
+      priority: alert.priority,
+      notificationTypes: notification.types?.join('|'),
+      frequency: notification.frequency,
+      maxSends: notification.maxSends,
+      cooldownMinutes: notification.cooldownMinutes,
+      messageTemplate: notification.messageTemplate,
+      category: alert.category,
+      tags: alert.tags?.join('|'),
+      startDate: alert.startDate,
+      endDate: alert.endDate,
+      evaluationWindow: toJsonCell(alert.evaluationWindow)
+    };
+
+    return CSV_COLUMNS.map(column => toCsvCell(cells[column])).join(',');
+  });
+
+  return [CSV_COLUMNS.join(','), ...rows].join('\r\n');
+};
+
+// Split CSV text into rows of cells, handling quoted separators, quotes and line breaks
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i += 1;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error('CSV ends inside a quoted value');
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  // Blank lines carry no alert
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+};
+
+const parseJsonCell = (value, column) => {
+  if (!value) return undefined;
+
+  try {
+    return JSON.parse(value);
+  } catch {
+    throw new Error(`${column} must be valid JSON`);
+  }
+};
+
+const parseNumberCell = (value, column) => {
+  if (value === '') return undefined;
+
+  const number = Number(value);
+  if (Number.isNaN(number)) throw new Error(`${column} must be a number`);
+  return number;
+};
+
+const parseListCell = (value) => (value ? value.split('|').map(item => item.trim()).filter(Boolean) : undefined);
+
+// A CSV row, keyed by header, as a create payload. Throws an Error naming the first bad cell.
+export const fromCsvRow = (cells) => {
+  const get = (column) => (cells[column] ?? '').trim();
+
+  return {
+    stockSymbol: get('stockSymbol').toUpperCase(),
+    name: get('name'),
+    description: get('description') || undefined,
+    condition: {
+      type: get('conditionType'),
+      targetValue: parseNumberCell(get('targetValue'), 'targetValue'),
+      triggerMode: get('triggerMode') || undefined,
+      rearmPercent: parseNumberCell(get('rearmPercent'), 'rearmPercent'),
+      parameters: parseJsonCell(get('parameters'), 'parameters'),
+      group: parseJsonCell(get('group'), 'group'),
+      trailing: get('anchorDate') ? { anchorDate: get('anchorDate') } : undefined
+    },
+    priority: get('priority') || undefined,
+    notification: {
+      types: parseListCell(get('notificationTypes')),
+      frequency: get('frequency') || undefined,
+      maxSends: parseNumberCell(get('maxSends'), 'maxSends'),
+      cooldownMinutes: parseNumberCell(get('cooldownMinutes'), 'cooldownMinutes'),
+      messageTemplate: get('messageTemplate') || undefined
+    },
+    category: get('category') || undefined,
+    tags: parseListCell(get('tags')),
+    startDate: get('startDate') || undefined,
+    endDate: get('endDate') || undefined,
+    evaluationWindow: parseJsonCell(get('evaluationWindow'), 'evaluationWindow')
+  };
+};
+
+// Rows of a CSV import keyed by header, rejecting unknown columns
+export const readCsvRows = (text) => {
+  const [header = [], ...rows] = parseCsv(text);
+  const columns = header.map(column => column.trim());
+
+  const unknown = columns.filter(column => !CSV_COLUMNS.includes(column));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown CSV columns: ${unknown.join(', ')}`);
+  }
+
+  return rows.map(cells => Object.fromEntries(columns.map((column, index) => [column, cells[index] ?? ''])));
+};
+
+// JSON with object keys sorted, so equal settings always compare equal
+const stableStringify = (value) => {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== null && value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+// Key two alerts share when they watch the same symbol for the same condition
+export const getDuplicateKey = (alert) => {
+  const { condition } = alert;
+
+  return stableStringify({
+    symbol: alert.stockSymbol,
+    type: condition.type,
+    targetValue: condition.targetValue,
+    parameters: plain(condition.parameters),
+    group: plain(condition.group)
+  });
+};
+
+export default {
+  MAX_IMPORT_ROWS,
+  CSV_COLUMNS,
+  toPortableAlert,
+  toCsv,
+  parseCsv,
+  fromCsvRow,
+  readCsvRows,
+  getDuplicateKey
+};
@@ -39,6 +39,89 @@ class AlertService {
     }
   }
 
+  // See how often an alert would have fired, options: { from, to, interval, window }
+  async backtestAlert(alertData, options = {}) {
+    try {
+      const response = await axios.post('/api/alerts/backtest', { ...alertData, backtest: options });
+      return response.data;
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  // Render an alert's message template as if it triggered now
+  async previewAlertMessage(alertData) {
+    try {
+      const response = await axios.post('/api/alerts/preview', alertData);
+      return response.data;
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  // Download alerts as 'json' or 'csv'
+  async exportAlerts(format = 'json') {
+    try {
+      const response = await axios.get('/api/alerts/export', {
+        params: { format },
+        responseType: format === 'csv' ? 'text' : 'json'
+      });
+      return response.data;
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  // Import alerts from an export (JSON) or CSV text; a dry run only reports what would happen
+  async importAlerts(data, { format = 'json', dryRun = false } = {}) {
+    try {
+      const response = await axios.post('/api/alerts/import', { format, data, dryRun });
+      return response.data;
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  // Create alerts across the watchlist from a rule and/or each item's target price
+  async createWatchlistAlerts({ rule, includeTargets = false, symbols } = {}) {
+    try {
+      const response = await axios.post('/api/alerts/watchlist', { rule, includeTargets, symbols });
+      return response.data;
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  // Edit every alert in a group
+  async updateAlertGroup(groupId, updateData) {
+    try {
+      const response = await axios.put(`/api/alerts/groups/${groupId}`, updateData);
+      return response.data;
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  // Pause or resume a group, toggles when isActive is left out
+  async toggleAlertGroup(groupId, isActive) {
+    try {
+      const response = await axios.post(`/api/alerts/groups/${groupId}/toggle`, { isActive });
+      return response.data;
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  // Delete every alert in a group
+  async deleteAlertGroup(groupId) {
+    try {
+      const response = await axios.delete(`/api/alerts/groups/${groupId}`);
+      return response.data;
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
   // Update alert
   async updateAlert(alertId, updateData) {
     try {
@@ -109,10 +192,24 @@ class AlertService {
     }
   }
 
-  // Get triggered alerts history
-  async getTriggeredAlerts(limit = 50, days = 30) {
+  // Get trigger history across all alerts, pass the previous page's nextBefore to continue
+  async getAlertEvents({ symbol, from, to, before, limit = 50 } = {}) {
+    try {
+      const response = await axios.get('/api/alerts/events', {
+        params: { symbol, from, to, before, limit }
+      });
+      return response.data;
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  // Get trigger history for one alert
+  async getAlertHistory(alertId, { before, limit = 50 } = {}) {
     try {
-      const response = await axios.get(`/api/alerts/history/triggered?limit=${limit}&days=${days}`);
+      const response = await axios.get(`/api/alerts/${alertId}/events`, {
+        params: { before, limit }
+      });
       return response.data;
     } catch (error) {
       throw this.handleError(error);
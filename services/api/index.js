@@ -3,4 +3,5 @@ export { default as authService } from './authservice.js';
 export { default as stockService } from './stockservice.js';
 export { default as watchlistService } from './watchlistservice.js';
 export { default as alertService } from './alertservice.js';
-export { default as notificationService } from './notificationservice.js';
\ No newline at end of file
+export { default as notificationService } from './notificationservice.js';
+export { default as streamService } from './streamservice.js';
\ No newline at end of file
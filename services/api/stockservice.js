@@ -157,10 +157,28 @@ class StockService {
     }
   }
 
-  // Get historical data
-  async getHistoricalData(symbol, period = '1mo') {
+  // Get historical OHLCV bars, pass nextFrom from the previous page as from to paginate
+  async getHistoricalData(symbol, { interval = '1d', from, to, limit, adjusted = true } = {}) {
+    const params = new URLSearchParams({ interval, adjusted });
+    if (from) params.append('from', new Date(from).toISOString());
+    if (to) params.append('to', new Date(to).toISOString());
+    if (limit) params.append('limit', limit);
+
+    try {
+      const response = await axios.get(`/api/stocks/${symbol}/history?${params.toString()}`);
+      return response.data;
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  // Get a technical indicator, e.g. getIndicator('AAPL', 'rsi', { period: 14 })
+  async getIndicator(symbol, type, { interval = '1d', limit, ...params } = {}) {
+    const query = new URLSearchParams({ type, interval, ...params });
+    if (limit) query.append('limit', limit);
+
     try {
-      const response = await axios.get(`/api/stocks/${symbol}/historical?period=${period}`);
+      const response = await axios.get(`/api/stocks/${symbol}/indicators?${query.toString()}`);
       return response.data;
     } catch (error) {
       throw this.handleError(error);
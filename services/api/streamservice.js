@@ -0,0 +1,157 @@
+import { storage } from '../storage/index.js';
+
+const WS_PATH = process.env.REACT_APP_WS_PATH || '/ws/prices';
+const STREAM_URL = '/api/stream';
+const EVENT_TYPES = ['quote', 'alert-trigger', 'notification'];
+
+class StreamService {
+  constructor() {
+    this.transport = null;
+    this.socket = null;
+    this.eventSource = null;
+    this.symbols = new Set();
+    this.listeners = new Map();
+    this.forceSse = false;
+    this.lastEventId = null;
+  }
+
+  // Open a stream, preferring WebSocket and falling back to SSE
+  connect(symbols = []) {
+    symbols.forEach(symbol => this.symbols.add(symbol.toUpperCase()));
+
+    if (this.forceSse || typeof WebSocket === 'undefined') {
+      this.connectSse();
+    } else {
+      this.connectWebSocket();
+    }
+  }
+
+  // Close whichever transport is open
+  disconnect() {
+    if (this.socket) {
+      this.socket.onclose = null;
+      this.socket.close();
+      this.socket = null;
+    }
+
+    if (this.eventSource) {
+      this.eventSource.close();
+      this.eventSource = null;
+    }
+
+    this.transport = null;
+  }
+
+  // Add symbols to the live feed
+  subscribe(symbols) {
+    const added = symbols.map(symbol => symbol.toUpperCase()).filter(symbol => !this.symbols.has(symbol));
+    added.forEach(symbol => this.symbols.add(symbol));
+
+    if (added.length === 0) return;
+
+    if (this.transport === 'websocket') {
+      this.send({ type: 'subscribe', symbols: added });
+    } else if (this.transport === 'sse') {
+      this.connectSse();
+    }
+  }
+
+  // Remove symbols from the live feed
+  unsubscribe(symbols) {
+    const removed = symbols.map(symbol => symbol.toUpperCase()).filter(symbol => this.symbols.has(symbol));
+    removed.forEach(symbol => this.symbols.delete(symbol));
+
+    if (removed.length === 0) return;
+
+    if (this.transport === 'websocket') {
+      this.send({ type: 'unsubscribe', symbols: removed });
+    } else if (this.transport === 'sse') {
+      this.connectSse();
+    }
+  }
+
+  // Register a handler for quote, alert-trigger or notification events
+  on(type, handler) {
+    if (!this.listeners.has(type)) this.listeners.set(type, new Set());
+    this.listeners.get(type).add(handler);
+    return () => this.listeners.get(type).delete(handler);
+  }
+
+  emit(type, data) {
+    const handlers = this.listeners.get(type);
+    if (handlers) handlers.forEach(handler => handler(data));
+  }
+
+  send(message) {
+    if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+      this.socket.send(JSON.stringify(message));
+    }
+  }
+
+  connectWebSocket() {
+    const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+    const token = encodeURIComponent(storage.getToken() || '');
+    const socket = new WebSocket(`${protocol}//${window.location.host}${WS_PATH}?token=${token}`);
+    let opened = false;
+
+    this.socket = socket;
+
+    socket.onopen = () => {
+      opened = true;
+      this.transport = 'websocket';
+      if (this.symbols.size > 0) {
+        this.send({ type: 'subscribe', symbols: [...this.symbols] });
+      }
+    };
+
+    socket.onmessage = (message) => {
+      const payload = JSON.parse(message.data);
+      if (EVENT_TYPES.includes(payload.type)) {
+        this.emit(payload.type, payload.data);
+      }
+    };
+
+    socket.onclose = () => {
+      this.socket = null;
+
+      // The upgrade never completed (e.g. a proxy blocked it), use SSE from now on
+      if (!opened) {
+        this.forceSse = true;
+        this.connectSse();
+        return;
+      }
+
+      this.transport = null;
+      setTimeout(() => this.connect(), 5000);
+    };
+  }
+
+  // SSE subscriptions live in the URL, so this also reopens after symbol changes
+  connectSse() {
+    if (this.eventSource) {
+      this.eventSource.close();
+    }
+
+    const params = new URLSearchParams({ token: storage.getToken() || '' });
+    if (this.symbols.size > 0) {
+      params.append('symbols', [...this.symbols].join(','));
+    }
+    if (this.lastEventId) {
+      params.append('lastEventId', this.lastEventId);
+    }
+
+    // EventSource reconnects on its own and resends Last-Event-ID
+    const eventSource = new EventSource(`${STREAM_URL}?${params.toString()}`);
+    this.eventSource = eventSource;
+    this.transport = 'sse';
+
+    EVENT_TYPES.forEach(type => {
+      eventSource.addEventListener(type, (event) => {
+        this.lastEventId = event.lastEventId;
+        this.emit(type, JSON.parse(event.data));
+      });
+    });
+  }
+}
+
+export default new StreamService();
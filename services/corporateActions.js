@@ -0,0 +1,279 @@
+import CorporateAction from '../models/CorporateAction.js';
+import SplitAdjustment from '../models/SplitAdjustment.js';
+import PriceBar from '../models/PriceBar.js';
+import Stock from '../models/Stock.js';
+import Alert from '../models/Alert.js';
+import User from '../models/User.js';
+import { publishNotification } from './marketEvents.js';
+import { getZonedDate, zonedTimeToDate } from '../config/marketHours.js';
+
+// Alert conditions with price targets, these need rescaling after a split (price changes only in dollars)
+export const SPLIT_SENSITIVE_CONDITIONS = ['PRICE_ABOVE', 'PRICE_BELOW', 'PRICE_CHANGE_UP', 'PRICE_CHANGE_DOWN'];
+
+const roundPrice = (value) => Math.round(value * 10000) / 10000;
+
+const isSplitSensitive = (condition) => {
+  return SPLIT_SENSITIVE_CONDITIONS.includes(condition.type) && condition.parameters?.comparisonType !== 'percentage';
+};
+
+// Split-sensitive conditions on `symbol` inside a condition group, keyed by index path, e.g. '0', '1/0'
+const findGroupTargets = (group, symbol, path = '') => {
+  return group.conditions.flatMap((node, index) => {
+    const key = path ? `${path}/${index}` : `${index}`;
+    if (Array.isArray(node.conditions)) return findGroupTargets(node, symbol, key);
+    return node.symbol === symbol && isSplitSensitive(node) ? [{ path: key, value: node.targetValue }] : [];
+  });
+};
+
+// Document path of a group condition's field, e.g. '1/0' -> 'condition.group.conditions.1.conditions.0.<field>'
+const groupFieldPath = (path, field) => {
+  return `condition.group.${path.split('/').map(index => `conditions.${index}`).join('.')}.${field}`;
+};
+
+// Session start (midnight, exchange time) for a 'YYYY-MM-DD' string or date
+export const toSessionStart = (value) => {
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return zonedTimeToDate(value);
+  }
+  return zonedTimeToDate(getZonedDate(new Date(value)));
+};
+
+// Close of the last stored session before an ex-date
+const getCloseBefore = async (symbol, exDate) => {
+  const bar = await PriceBar.findOne({ symbol, interval: '1d', date: { $lt: exDate } })
+    .sort({ date: -1 })
+    .select('close')
+    .lean();
+
+  return bar?.close ?? null;
+};
+
+// Fill in a dividend's price factor once the prior close is known
+export const resolveDividendFactor = async (action) => {
+  if (action.type !== 'CASH_DIVIDEND' || action.priceFactor !== null) return action;
+
+  const close = await getCloseBefore(action.symbol, action.exDate);
+
+  if (close && close > action.amount) {
+    action.priceFactor = (close - action.amount) / close;
+    await action.save();
+  }
+
+  return action;
+};
+
+// Adjust bars for every action with a later ex-date
+export const adjustBars = (bars, actions) => {
+  const effective = actions.filter(action => action.priceFactor !== null && action.priceFactor !== undefined);
+  if (effective.length === 0) return bars;
+
+  return bars.map(bar => {
+    let priceFactor = 1;
+    let volumeFactor = 1;
+
+    effective.forEach(action => {
+      if (bar.date < action.exDate) {
+        priceFactor *= action.priceFactor;
+        if (action.type === 'SPLIT') volumeFactor *= action.splitRatio;
+      }
+    });
+
+    if (priceFactor === 1 && volumeFactor === 1) return bar;
+
+    return {
+      ...bar,
+      open: roundPrice(bar.open * priceFactor),
+      high: roundPrice(bar.high * priceFactor),
+      low: roundPrice(bar.low * priceFactor),
+      close: roundPrice(bar.close * priceFactor),
+      volume: Math.round(bar.volume * volumeFactor)
+    };
+  });
+};
+
+// Adjust a page of stored bars for the symbol's splits and dividends
+export const getAdjustedBars = async (symbol, bars) => {
+  if (bars.length === 0) return bars;
+
+  const actions = await CorporateAction.find({
+    symbol: symbol.toUpperCase(),
+    exDate: { $gt: bars[0].date }
+  }).lean();
+
+  return adjustBars(bars, actions);
+};
+
+// Re-derive the 52-week range for symbols with corporate actions inside the window
+export const syncAdjustedWeek52Range = async (since) => {
+  const actions = await CorporateAction.find({ exDate: { $gte: since }, priceFactor: { $ne: null } }).lean();
+  const symbols = [...new Set(actions.map(action => action.symbol))];
+
+  for (const symbol of symbols) {
+    const bars = await PriceBar.find({ symbol, interval: '1d', date: { $gte: since } })
+      .sort({ date: 1 })
+      .lean();
+
+    if (bars.length === 0) continue;
+
+    const adjusted = adjustBars(bars, actions.filter(action => action.symbol === symbol));
+
+    await Stock.updateOne({ symbol }, {
+      $set: {
+        'historicalSummary.week52High': Math.max(...adjusted.map(bar => bar.high)),
+        'historicalSummary.week52Low': Math.min(...adjusted.map(bar => bar.low))
+      }
+    });
+  }
+
+  return symbols.length;
+};
+
+// Describe a split ratio, e.g. '4-for-1' or '1-for-10'
+const describeSplit = (ratio) => {
+  return ratio >= 1 ? `${ratio}-for-1` : `1-for-${roundPrice(1 / ratio)}`;
+};
+
+// Offer to rescale alert and watchlist targets set before a split
+export const proposeSplitAdjustments = async (action) => {
+  const { symbol, exDate, splitRatio } = action;
+  const proposals = [];
+
+  // Scheduled, disabled, triggered and expired alerts can all be live again later, only cancelled ones can't
+  const alerts = await Alert.find({
+    status: { $ne: 'CANCELLED' },
+    createdAt: { $lt: exDate },
+    $or: [
+      { stockSymbol: symbol, 'condition.type': { $in: SPLIT_SENSITIVE_CONDITIONS } },
+      { 'condition.type': 'COMPOUND', watchSymbols: symbol }
+    ]
+  }).select('user stockSymbol condition');
+
+  alerts.forEach(alert => {
+    const targets = alert.condition.type === 'COMPOUND'
+      ? findGroupTargets(alert.condition.group, symbol)
+      : isSplitSensitive(alert.condition) ? [{ path: null, value: alert.condition.targetValue }] : [];
+
+    targets.forEach(({ path, value }) => {
+      proposals.push({
+        action: action._id,
+        user: alert.user,
+        symbol,
+        target: { kind: 'ALERT', alert: alert._id, path },
+        currentValue: value,
+        proposedValue: roundPrice(value / splitRatio)
+      });
+    });
+  });
+
+  const users = await User.find({
+    watchlist: { $elemMatch: { symbol, targetPrice: { $gt: 0 }, addedAt: { $lt: exDate } } }
+  }).select('watchlist');
+
+  users.forEach(user => {
+    const item = user.watchlist.find(entry => entry.symbol === symbol);
+    proposals.push({
+      action: action._id,
+      user: user._id,
+      symbol,
+      target: { kind: 'WATCHLIST' },
+      currentValue: item.targetPrice,
+      proposedValue: roundPrice(item.targetPrice / splitRatio)
+    });
+  });
+
+  if (proposals.length > 0) {
+    // Re-running for the same split skips proposals that already exist
+    await SplitAdjustment.insertMany(proposals, { ordered: false }).catch(error => {
+      if (error.code !== 11000) throw error;
+    });
+  }
+
+  action.adjustmentStatus = 'PROPOSED';
+  action.proposedAt = new Date();
+  await action.save();
+
+  // Let each affected user know there is something to review
+  const counts = proposals.reduce((acc, proposal) => {
+    const userId = proposal.user.toString();
+    acc[userId] = (acc[userId] || 0) + 1;
+    return acc;
+  }, {});
+
+  Object.entries(counts).forEach(([userId, count]) => {
+    publishNotification(userId, {
+      type: 'SPLIT_ADJUSTMENT',
+      title: `${symbol} ${describeSplit(splitRatio)} split`,
+      message: `${count} price target${count === 1 ? '' : 's'} can be rescaled for the split`,
+      symbol,
+      actionId: action._id
+    });
+  });
+
+  return { symbol, proposals: proposals.length };
+};
+
+// Record a split or cash dividend, proposing target changes if the split already took effect
+export const recordCorporateAction = async (symbol, data, userId = null) => {
+  const action = new CorporateAction({
+    symbol,
+    type: data.type,
+    exDate: data.exDate ? toSessionStart(data.exDate) : undefined,
+    splitRatio: data.splitRatio,
+    amount: data.amount,
+    currency: data.currency,
+    notes: data.notes,
+    recordedBy: userId
+  });
+
+  await action.save();
+  await resolveDividendFactor(action);
+
+  if (action.type === 'SPLIT' && action.exDate <= new Date()) {
+    await proposeSplitAdjustments(action);
+  }
+
+  return action;
+};
+
+// Apply a proposal. Targets changed since it was proposed are left alone and marked stale.
+export const applySplitAdjustment = async (proposal) => {
+  let result;
+
+  if (proposal.target.kind === 'ALERT' && proposal.target.path) {
+    // A group condition only counts as unchanged if it still sits at the same place for the same symbol
+    const valuePath = groupFieldPath(proposal.target.path, 'targetValue');
+    result = await Alert.updateOne(
+      {
+        _id: proposal.target.alert,
+        user: proposal.user,
+        [groupFieldPath(proposal.target.path, 'symbol')]: proposal.symbol,
+        [valuePath]: proposal.currentValue
+      },
+      { $set: { [valuePath]: proposal.proposedValue } }
+    );
+  } else if (proposal.target.kind === 'ALERT') {
+    result = await Alert.updateOne(
+      { _id: proposal.target.alert, user: proposal.user, 'condition.targetValue': proposal.currentValue },
+      { $set: { 'condition.targetValue': proposal.proposedValue } }
+    );
+  } else {
+    result = await User.updateOne(
+      { _id: proposal.user, watchlist: { $elemMatch: { symbol: proposal.symbol, targetPrice: proposal.currentValue } } },
+      { $set: { 'watchlist.$.targetPrice': proposal.proposedValue } }
+    );
+  }
+
+  return proposal.resolve(result.modifiedCount > 0 ? 'APPLIED' : 'STALE');
+};
+
+export default {
+  SPLIT_SENSITIVE_CONDITIONS,
+  toSessionStart,
+  resolveDividendFactor,
+  adjustBars,
+  getAdjustedBars,
+  syncAdjustedWeek52Range,
+  proposeSplitAdjustments,
+  recordCorporateAction,
+  applySplitAdjustment
+};
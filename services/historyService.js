@@ -0,0 +1,114 @@
+import PriceBar, { BAR_INTERVALS } from '../models/PriceBar.js';
+import { stockDataService } from './stockService.js';
+import { apiUtils } from '../config/stockApi.js';
+import { ProviderError } from './providers/index.js';
+import { getAdjustedBars } from './corporateActions.js';
+import { getZonedDate, zonedTimeToDate } from '../config/marketHours.js';
+import { logger } from '../middleware/logger.js';
+
+// Intervals whose bars are keyed by session date
+const SESSION_INTERVALS = ['1d', '1w', '1mo'];
+
+// How long background reads wait before retrying a backfill that stored nothing or failed
+const BACKFILL_RETRY_MS = 15 * 60 * 1000;
+
+// Last empty or failed background backfill per 'SYMBOL:interval', and backfills in flight
+const failedBackfills = new Map();
+const pendingBackfills = new Map();
+
+// Key session bars at midnight exchange time so provider and aggregated bars line up
+const toSessionDates = (bars) => bars.map(bar => ({
+  ...bar,
+  date: zonedTimeToDate(getZonedDate(bar.date))
+}));
+
+// Fetch bars from the providers and store them.
+// A full backfill asks for the provider's whole series, otherwise only recent bars.
+export const backfillHistory = async (symbol, interval = '1d', { full = false, priority = 'low' } = {}) => {
+  const bars = await stockDataService.getHistory(symbol, {
+    interval,
+    outputSize: full ? 'full' : 'compact',
+    priority
+  });
+
+  const result = await PriceBar.upsertBars(
+    apiUtils.formatSymbol(symbol),
+    interval,
+    SESSION_INTERVALS.includes(interval) ? toSessionDates(bars) : bars
+  );
+
+  return { symbol: apiUtils.formatSymbol(symbol), interval, fetched: bars.length, ...result };
+};
+
+// Backfill once for concurrent background reads, remembering attempts that came back empty or failed
+const backgroundBackfill = async (symbol, interval) => {
+  const key = `${symbol}:${interval}`;
+  const failedAt = failedBackfills.get(key);
+
+  if (failedAt && Date.now() - failedAt < BACKFILL_RETRY_MS) return;
+  if (pendingBackfills.has(key)) return pendingBackfills.get(key);
+
+  const pending = backfillHistory(symbol, interval, { full: true, priority: 'low' })
+    .then(result => {
+      if (result.fetched > 0) failedBackfills.delete(key);
+      else failedBackfills.set(key, Date.now());
+    })
+    .catch(error => {
+      failedBackfills.set(key, Date.now());
+      logger.warn(`History backfill failed for ${key}: ${error.message}`);
+    })
+    .finally(() => pendingBackfills.delete(key));
+
+  pendingBackfills.set(key, pending);
+  return pending;
+};
+
+// Check the interval and backfill on first request for a symbol and interval.
+// Background reads (alert evaluation) backfill at low priority and carry on with no bars if it fails.
+const ensureHistory = async (symbol, interval, { background = false } = {}) => {
+  if (!BAR_INTERVALS.includes(interval)) {
+    throw new ProviderError(`Unsupported interval: ${interval}`, {
+      code: 'UNSUPPORTED',
+      statusCode: 400
+    });
+  }
+
+  const formatted = apiUtils.formatSymbol(symbol);
+  const latest = await PriceBar.getLatestDate(formatted, interval);
+
+  if (!latest && background) {
+    await backgroundBackfill(formatted, interval);
+  } else if (!latest) {
+    await backfillHistory(formatted, interval, { full: true, priority: 'high' });
+  }
+
+  return formatted;
+};
+
+// Get a page of stored bars.
+// Bars are stored as traded; adjusted pages are rescaled for later splits and dividends.
+export const getBars = async (symbol, interval = '1d', { from, to, limit, adjusted = true } = {}) => {
+  const formatted = await ensureHistory(symbol, interval);
+  const page = await PriceBar.findRange(formatted, interval, { from, to, limit });
+
+  if (adjusted) {
+    page.bars = await getAdjustedBars(formatted, page.bars);
+  }
+
+  return page;
+};
+
+// Get the latest `count` bars up to a date, oldest first. Used while evaluating alerts, so a missing
+// series is backfilled at low priority and not retried on every read.
+export const getRecentBars = async (symbol, interval = '1d', { to, count = 100, adjusted = true } = {}) => {
+  const formatted = await ensureHistory(symbol, interval, { background: true });
+  const bars = await PriceBar.findLatest(formatted, interval, { to, count });
+
+  return adjusted ? getAdjustedBars(formatted, bars) : bars;
+};
+
+export default {
+  backfillHistory,
+  getBars,
+  getRecentBars
+};
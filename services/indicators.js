@@ -0,0 +1,290 @@
+import { getRecentBars } from './historyService.js';
+import { ProviderError } from './providers/index.js';
+import { getStockApiConfig, apiUtils } from '../config/stockApi.js';
+import { getZonedDate } from '../config/marketHours.js';
+
+const round = (value) => (value === null || value === undefined ? null : Math.round(value * 10000) / 10000);
+
+// Simple moving average, null until the window is full
+export const sma = (values, period) => {
+  const result = new Array(values.length).fill(null);
+  let sum = 0;
+
+  for (let i = 0; i < values.length; i++) {
+    sum += values[i];
+    if (i >= period) sum -= values[i - period];
+    if (i >= period - 1) result[i] = sum / period;
+  }
+
+  return result;
+};
+
+// Exponential moving average seeded with the first SMA.
+// Leading nulls in the input (e.g. another indicator's warm-up) are skipped.
+export const ema = (values, period) => {
+  const result = new Array(values.length).fill(null);
+  const start = values.findIndex(value => value !== null);
+  if (start === -1 || values.length - start < period) return result;
+
+  const k = 2 / (period + 1);
+  let previous = values.slice(start, start + period).reduce((sum, value) => sum + value, 0) / period;
+  result[start + period - 1] = previous;
+
+  for (let i = start + period; i < values.length; i++) {
+    previous = values[i] * k + previous * (1 - k);
+    result[i] = previous;
+  }
+
+  return result;
+};
+
+// Relative strength index with Wilder smoothing
+export const rsi = (values, period = 14) => {
+  const result = new Array(values.length).fill(null);
+  if (values.length <= period) return result;
+
+  let gain = 0;
+  let loss = 0;
+
+  for (let i = 1; i <= period; i++) {
+    const change = values[i] - values[i - 1];
+    if (change > 0) gain += change;
+    else loss -= change;
+  }
+
+  gain /= period;
+  loss /= period;
+
+  const toRsi = () => (loss === 0 ? 100 : 100 - 100 / (1 + gain / loss));
+  result[period] = toRsi();
+
+  for (let i = period + 1; i < values.length; i++) {
+    const change = values[i] - values[i - 1];
+    gain = (gain * (period - 1) + Math.max(change, 0)) / period;
+    loss = (loss * (period - 1) + Math.max(-change, 0)) / period;
+    result[i] = toRsi();
+  }
+
+  return result;
+};
+
+// MACD line, signal line and histogram
+export const macd = (values, fastPeriod = 12, slowPeriod = 26, signalPeriod = 9) => {
+  const fast = ema(values, fastPeriod);
+  const slow = ema(values, slowPeriod);
+  const line = values.map((_, i) => (fast[i] === null || slow[i] === null ? null : fast[i] - slow[i]));
+  const signal = ema(line, signalPeriod);
+
+  return values.map((_, i) => ({
+    macd: line[i],
+    signal: signal[i],
+    histogram: line[i] === null || signal[i] === null ? null : line[i] - signal[i]
+  }));
+};
+
+// Bollinger Bands around an SMA
+export const bollinger = (values, period = 20, stdDev = 2) => {
+  const middle = sma(values, period);
+
+  return values.map((_, i) => {
+    if (middle[i] === null) return { middle: null, upper: null, lower: null };
+
+    const window = values.slice(i - period + 1, i + 1);
+    const variance = window.reduce((sum, value) => sum + Math.pow(value - middle[i], 2), 0) / period;
+    const band = Math.sqrt(variance) * stdDev;
+
+    return { middle: middle[i], upper: middle[i] + band, lower: middle[i] - band };
+  });
+};
+
+// Average true range with Wilder smoothing
+export const atr = (bars, period = 14) => {
+  const result = new Array(bars.length).fill(null);
+  if (bars.length <= period) return result;
+
+  const trueRanges = bars.map((bar, i) => {
+    if (i === 0) return bar.high - bar.low;
+    const previousClose = bars[i - 1].close;
+    return Math.max(bar.high - bar.low, Math.abs(bar.high - previousClose), Math.abs(bar.low - previousClose));
+  });
+
+  let average = trueRanges.slice(1, period + 1).reduce((sum, value) => sum + value, 0) / period;
+  result[period] = average;
+
+  for (let i = period + 1; i < bars.length; i++) {
+    average = (average * (period - 1) + trueRanges[i]) / period;
+    result[i] = average;
+  }
+
+  return result;
+};
+
+// Volume-weighted average price, restarting each session
+export const vwap = (bars) => {
+  let session = null;
+  let priceVolume = 0;
+  let volume = 0;
+
+  return bars.map(bar => {
+    const barSession = getZonedDate(bar.date);
+    if (barSession !== session) {
+      session = barSession;
+      priceVolume = 0;
+      volume = 0;
+    }
+
+    const typical = (bar.high + bar.low + bar.close) / 3;
+    priceVolume += typical * (bar.volume || 0);
+    volume += bar.volume || 0;
+
+    return volume > 0 ? priceVolume / volume : typical;
+  });
+};
+
+const closes = (bars) => bars.map(bar => bar.close);
+
+// Bounds shared by every period parameter, matching the alert model's
+const PERIOD = { min: 2, max: 500 };
+
+// Supported indicators: parameters with their defaults and bounds, bars needed before the first value,
+// and how to compute them. Parameters are whole numbers unless marked fractional.
+export const INDICATORS = {
+  sma: {
+    params: { period: { ...PERIOD, default: 20 } },
+    warmup: ({ period }) => period,
+    compute: (bars, { period }) => sma(closes(bars), period).map(value => ({ value }))
+  },
+  ema: {
+    params: { period: { ...PERIOD, default: 20 } },
+    warmup: ({ period }) => period * 3,
+    compute: (bars, { period }) => ema(closes(bars), period).map(value => ({ value }))
+  },
+  rsi: {
+    params: { period: { ...PERIOD, default: 14 } },
+    warmup: ({ period }) => period * 5,
+    compute: (bars, { period }) => rsi(closes(bars), period).map(value => ({ value }))
+  },
+  macd: {
+    params: {
+      fastPeriod: { ...PERIOD, default: 12 },
+      slowPeriod: { ...PERIOD, default: 26 },
+      signalPeriod: { ...PERIOD, default: 9 }
+    },
+    warmup: ({ slowPeriod, signalPeriod }) => (slowPeriod + signalPeriod) * 3,
+    compute: (bars, { fastPeriod, slowPeriod, signalPeriod }) => macd(closes(bars), fastPeriod, slowPeriod, signalPeriod)
+  },
+  bollinger: {
+    params: {
+      period: { ...PERIOD, default: 20 },
+      stdDev: { min: 0.5, max: 5, default: 2, fractional: true }
+    },
+    warmup: ({ period }) => period,
+    compute: (bars, { period, stdDev }) => bollinger(closes(bars), period, stdDev)
+  },
+  atr: {
+    params: { period: { ...PERIOD, default: 14 } },
+    warmup: ({ period }) => period * 5,
+    compute: (bars, { period }) => atr(bars, period).map(value => ({ value }))
+  },
+  vwap: {
+    params: {},
+    warmup: () => 0,
+    compute: (bars) => vwap(bars).map(value => ({ value }))
+  }
+};
+
+// Results keyed by request and latest bar, evicted oldest first
+const cache = new Map();
+
+const readCache = (key) => {
+  const entry = cache.get(key);
+  if (!entry) return null;
+
+  if (Date.now() - entry.timestamp > getStockApiConfig().cache.ttl) {
+    cache.delete(key);
+    return null;
+  }
+
+  return entry.value;
+};
+
+const writeCache = (key, value) => {
+  const { maxSize } = getStockApiConfig().cache;
+  if (cache.size >= maxSize) {
+    cache.delete(cache.keys().next().value);
+  }
+  cache.set(key, { value, timestamp: Date.now() });
+};
+
+// Merge caller parameters over an indicator's defaults, ignoring anything unknown.
+// Throws a 400 error for a value that isn't a number of the right kind within the parameter's bounds.
+export const resolveParams = (type, params = {}) => {
+  const indicator = INDICATORS[type];
+
+  return Object.fromEntries(Object.entries(indicator.params).map(([key, spec]) => {
+    const raw = params[key];
+    if (raw === undefined || raw === null || raw === '') return [key, spec.default];
+
+    const value = Number(raw);
+    if (!(spec.fractional ? Number.isFinite(value) : Number.isInteger(value)) || value < spec.min || value > spec.max) {
+      throw new ProviderError(
+        `${key} must be ${spec.fractional ? 'a number' : 'a whole number'} from ${spec.min} to ${spec.max}`,
+        { code: 'INVALID_PARAMETER', statusCode: 400 }
+      );
+    }
+
+    return [key, value];
+  }));
+};
+
+// Compute an indicator over a list of bars, returning one point per bar
+export const computeSeries = (type, bars, params = {}) => {
+  const resolved = resolveParams(type, params);
+
+  return INDICATORS[type].compute(bars, resolved).map((point, i) => {
+    const rounded = Object.fromEntries(Object.entries(point).map(([key, value]) => [key, round(value)]));
+    return { date: bars[i].date, close: bars[i].close, ...rounded };
+  });
+};
+
+// Compute an indicator over stored history, returning the latest `limit` points
+export const getIndicator = async (symbol, { type, interval = '1d', limit = 100, to, ...params } = {}) => {
+  const formatted = apiUtils.formatSymbol(symbol);
+  const resolved = resolveParams(type, params);
+  const count = limit + INDICATORS[type].warmup(resolved);
+
+  const bars = await getRecentBars(formatted, interval, { to, count });
+  const latest = bars.length > 0 ? bars[bars.length - 1].date.getTime() : 0;
+  const key = [formatted, interval, type, JSON.stringify(resolved), limit, to?.getTime() || '', latest].join(':');
+
+  const cached = readCache(key);
+  if (cached) return { ...cached, cached: true };
+
+  const values = computeSeries(type, bars, resolved)
+    .slice(-limit);
+
+  const result = {
+    symbol: formatted,
+    interval,
+    type,
+    params: resolved,
+    values
+  };
+
+  writeCache(key, result);
+  return { ...result, cached: false };
+};
+
+export default {
+  INDICATORS,
+  sma,
+  ema,
+  rsi,
+  macd,
+  bollinger,
+  atr,
+  vwap,
+  resolveParams,
+  computeSeries,
+  getIndicator
+};
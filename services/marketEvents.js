@@ -0,0 +1,122 @@
+import { EventEmitter } from 'events';
+import { getEnvironmentConfig } from '../config/environment.js';
+
+// Event names published on the market event bus
+export const MARKET_EVENTS = {
+  QUOTE: 'quote',
+  ALERT_TRIGGER: 'alert-trigger',
+  NOTIFICATION: 'notification'
+};
+
+// Shared in-process bus for market data updates
+export const marketEvents = new EventEmitter();
+
+// Many sockets can listen at once, so lift the default listener cap
+marketEvents.setMaxListeners(0);
+
+// Recent events kept for clients resuming with Last-Event-ID
+const recentEvents = [];
+let lastSequence = 0;
+
+// Event ids are '<boot>-<sequence>', so an id from before a restart is never mistaken for a recent one
+const bootId = Date.now().toString(36);
+
+const toEventId = (sequence) => `${bootId}-${sequence}`;
+
+// Build the quote payload sent to subscribers
+const toQuotePayload = (quote) => ({
+  symbol: quote.symbol,
+  price: quote.price,
+  change: quote.change,
+  changePercent: quote.changePercent,
+  volume: quote.volume ?? null,
+  lastUpdated: quote.lastUpdated || new Date()
+});
+
+// Assign an id, buffer and emit an event envelope
+const publish = (type, data, { userId = null, symbol = null } = {}) => {
+  const event = {
+    id: toEventId(++lastSequence),
+    type,
+    userId: userId ? userId.toString() : null,
+    symbol,
+    data,
+    timestamp: new Date()
+  };
+
+  recentEvents.push(event);
+  const { eventBufferSize } = getEnvironmentConfig().realTime;
+  if (recentEvents.length > eventBufferSize) {
+    recentEvents.splice(0, recentEvents.length - eventBufferSize);
+  }
+
+  marketEvents.emit(type, data, event);
+  marketEvents.emit('event', event);
+  return event;
+};
+
+// Publish a quote update for a symbol
+export const publishQuote = (quote) => {
+  if (!quote || !quote.symbol) return null;
+  return publish(MARKET_EVENTS.QUOTE, toQuotePayload(quote), { symbol: quote.symbol });
+};
+
+// Publish a triggered alert to its owner
+export const publishAlertTrigger = (userId, alert) => {
+  return publish(MARKET_EVENTS.ALERT_TRIGGER, alert, { userId, symbol: alert.stockSymbol || null });
+};
+
+// Publish an in-app notification to its recipient
+export const publishNotification = (userId, notification) => {
+  return publish(MARKET_EVENTS.NOTIFICATION, notification, { userId });
+};
+
+// Subscribe to quote updates, returns an unsubscribe function
+export const onQuote = (listener) => {
+  marketEvents.on(MARKET_EVENTS.QUOTE, listener);
+  return () => marketEvents.off(MARKET_EVENTS.QUOTE, listener);
+};
+
+// Subscribe to every event envelope, returns an unsubscribe function
+export const onMarketEvent = (listener) => {
+  marketEvents.on('event', listener);
+  return () => marketEvents.off('event', listener);
+};
+
+// Check whether an event should be delivered to a given client
+export const isEventVisibleTo = (event, { userId, symbols }) => {
+  if (event.type === MARKET_EVENTS.QUOTE) {
+    return symbols.has(event.symbol);
+  }
+  return !!userId && event.userId === userId.toString();
+};
+
+// Id of the latest event published, for clients to resume from
+export const getLatestEventId = () => toEventId(lastSequence);
+
+// Get buffered events newer than an id, optionally filtered. Returns null when the id can't be
+// resumed from: it belongs to another run, is unknown, or events after it have left the buffer.
+export const getEventsSince = (sinceId, filter = () => true) => {
+  const [boot, sequence] = String(sinceId).split('-');
+  const since = Number(sequence);
+
+  if (boot !== bootId || !Number.isInteger(since) || since < 0 || since > lastSequence) return null;
+
+  const index = recentEvents.findIndex(event => event.id === toEventId(since + 1));
+  if (index === -1) return since === lastSequence ? [] : null;
+
+  return recentEvents.slice(index).filter(filter);
+};
+
+export default {
+  MARKET_EVENTS,
+  marketEvents,
+  publishQuote,
+  publishAlertTrigger,
+  publishNotification,
+  onQuote,
+  onMarketEvent,
+  isEventVisibleTo,
+  getLatestEventId,
+  getEventsSince
+};
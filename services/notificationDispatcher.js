@@ -0,0 +1,231 @@
+import HeldNotification from '../models/HeldNotification.js';
+import { publishAlertTrigger, publishNotification } from './marketEvents.js';
+import { isQuietTime, getQuietHoursEnd } from './alertSchedule.js';
+import { logger } from '../middleware/logger.js';
+
+// Delivery handlers keyed by notification type, see registerChannel
+const channels = new Map();
+
+// Delivery counts per channel and outcome
+const stats = {};
+
+// Held notifications that fail to release are retried, waiting twice as long each time, then dropped
+const MAX_RELEASE_ATTEMPTS = 5;
+const RELEASE_RETRY_MS = 5 * 60 * 1000;
+
+// User preference that has to be on for a channel to deliver
+const CHANNEL_PREFERENCES = {
+  EMAIL: 'email',
+  PUSH: 'push'
+};
+
+// Payload published for a triggered alert
+export const toAlertNotification = (alert) => ({
+  alertId: alert._id,
+  name: alert.name,
+  stockSymbol: alert.stockSymbol,
+  condition: alert.conditionDescription,
+  priority: alert.priority,
+  priceAtTrigger: alert.triggerData?.priceAtTrigger ?? null,
+  triggeredAt: alert.triggeredAt,
+  message: alert.getNotificationMessage()
+});
+
+// Payload for alerts held through quiet hours and released together
+const toAlertDigest = (notifications) => ({
+  type: 'ALERT_DIGEST',
+  title: `${notifications.length} alert${notifications.length === 1 ? '' : 's'} triggered during quiet hours`,
+  message: notifications.map(notification => notification.message).join('\n\n'),
+  alerts: notifications
+});
+
+// Register a delivery handler, e.g. an email or SMS gateway: handler(userId, notification, alert).
+// Digests of held alerts arrive with type 'ALERT_DIGEST' and no alert.
+export const registerChannel = (type, handler) => {
+  channels.set(type, handler);
+};
+
+// In-app delivery goes over the market event bus to connected clients
+registerChannel('IN_APP', (userId, notification) => {
+  if (notification.type === 'ALERT_DIGEST') {
+    publishNotification(userId, notification);
+  } else {
+    publishAlertTrigger(userId, notification);
+  }
+});
+
+const count = (type, outcome) => {
+  stats[type] = stats[type] || { sent: 0, held: 0, skipped: 0, failed: 0, unavailable: 0 };
+  stats[type][outcome] += 1;
+};
+
+// Whether the alert's owner has turned a channel off
+const isChannelMuted = (type, preferences = {}) => {
+  // In-app delivery always happens, other channels honour the price alert switch
+  if (type === 'IN_APP') return false;
+  if (preferences.priceAlerts === false) return true;
+
+  const preference = CHANNEL_PREFERENCES[type];
+  return !!preference && preferences[preference] === false;
+};
+
+// Deliver a triggered alert on each of its notification types.
+// During the owner's quiet hours only CRITICAL alerts go out, the rest are held until the hours end.
+export const dispatchAlert = async (alert, now = new Date()) => {
+  const userId = alert.user?._id || alert.user;
+  const preferences = alert.user?.preferences?.notifications || {};
+  const types = alert.notification?.types?.length ? alert.notification.types : ['IN_APP'];
+  const notification = toAlertNotification(alert);
+  const hold = alert.priority !== 'CRITICAL' && isQuietTime(preferences.quietHours, now);
+  const results = [];
+
+  if (alert.userPreferences?.isMuted) {
+    types.forEach(type => count(type, 'skipped'));
+    return types.map(type => ({ type, outcome: 'skipped' }));
+  }
+
+  for (const type of types) {
+    const handler = channels.get(type);
+
+    if (!handler) {
+      count(type, 'unavailable');
+      results.push({ type, outcome: 'unavailable' });
+      continue;
+    }
+
+    if (isChannelMuted(type, preferences)) {
+      count(type, 'skipped');
+      results.push({ type, outcome: 'skipped' });
+      continue;
+    }
+
+    if (hold) {
+      results.push({ type, outcome: 'held' });
+      continue;
+    }
+
+    try {
+      await handler(userId, notification, alert);
+      count(type, 'sent');
+      results.push({ type, outcome: 'sent' });
+    } catch (error) {
+      logger.error('Alert notification failed', { alertId: alert._id, type, error: error.message });
+      count(type, 'failed');
+      results.push({ type, outcome: 'failed', error: error.message });
+    }
+  }
+
+  const held = results.filter(result => result.outcome === 'held');
+  if (held.length > 0) {
+    try {
+      await HeldNotification.create({
+        user: userId,
+        alert: alert._id,
+        types: held.map(result => result.type),
+        notification,
+        releaseAt: getQuietHoursEnd(preferences.quietHours, now)
+      });
+      held.forEach(result => count(result.type, 'held'));
+    } catch (error) {
+      logger.error('Failed to hold alert notification', { alertId: alert._id, error: error.message });
+      held.forEach(result => {
+        count(result.type, 'failed');
+        result.outcome = 'failed';
+        result.error = error.message;
+      });
+    }
+  }
+
+  return results;
+};
+
+// Send held notifications whose quiet hours have ended, one digest per user and channel.
+// A notification is removed once every one of its channels delivered; channels that failed or have
+// no handler are kept on it and retried on a later run.
+export const releaseHeldNotifications = async (now = new Date()) => {
+  const due = await HeldNotification.findDue(now);
+  const byUser = new Map();
+
+  due.forEach(item => {
+    const userId = item.user.toString();
+    if (!byUser.has(userId)) byUser.set(userId, []);
+    byUser.get(userId).push(item);
+  });
+
+  for (const [userId, items] of byUser) {
+    const types = [...new Set(items.flatMap(item => item.types))];
+
+    for (const type of types) {
+      const handler = channels.get(type);
+      if (!handler) {
+        count(type, 'unavailable');
+        continue;
+      }
+
+      const pending = items.filter(item => item.types.includes(type));
+
+      try {
+        await handler(userId, toAlertDigest(pending.map(item => item.notification)), null);
+        count(type, 'sent');
+        pending.forEach(item => {
+          item.types = item.types.filter(other => other !== type);
+        });
+      } catch (error) {
+        logger.error('Held alert delivery failed', { userId, type, error: error.message });
+        count(type, 'failed');
+      }
+    }
+  }
+
+  const delivered = due.filter(item => item.types.length === 0);
+  const undelivered = due.filter(item => item.types.length > 0);
+  let dropped = 0;
+
+  if (delivered.length > 0) {
+    await HeldNotification.deleteMany({ _id: { $in: delivered.map(item => item._id) } });
+  }
+
+  for (const item of undelivered) {
+    const attempts = (item.attempts ?? 0) + 1;
+
+    if (attempts >= MAX_RELEASE_ATTEMPTS) {
+      logger.error('Held alert notification dropped after repeated failures', {
+        alertId: item.alert,
+        types: item.types,
+        attempts
+      });
+      await HeldNotification.deleteOne({ _id: item._id });
+      dropped += 1;
+      continue;
+    }
+
+    await HeldNotification.updateOne({ _id: item._id }, {
+      $set: {
+        types: item.types,
+        attempts,
+        releaseAt: new Date(now.getTime() + RELEASE_RETRY_MS * 2 ** (attempts - 1))
+      }
+    });
+  }
+
+  return {
+    users: byUser.size,
+    notifications: delivered.length,
+    retrying: undelivered.length - dropped,
+    dropped
+  };
+};
+
+// Get dispatcher status for health checks
+export const getDispatcherStatus = () => ({
+  channels: [...channels.keys()],
+  deliveries: stats
+});
+
+export default {
+  toAlertNotification,
+  registerChannel,
+  dispatchAlert,
+  releaseHeldNotifications,
+  getDispatcherStatus
+};
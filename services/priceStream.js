@@ -0,0 +1,232 @@
+import { WebSocketServer, WebSocket } from 'ws';
+import Stock from '../models/Stock.js';
+import { getUserFromToken } from '../middleware/auth.js';
+import { MARKET_EVENTS, onQuote, onMarketEvent } from './marketEvents.js';
+import { getEnvironmentConfig } from '../config/environment.js';
+
+// Pull the JWT from the upgrade request (query string, header or cookie)
+const getTokenFromUpgrade = (req) => {
+  const url = new URL(req.url, 'http://localhost');
+  if (url.searchParams.get('token')) {
+    return url.searchParams.get('token');
+  }
+
+  if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+    return req.headers.authorization.split(' ')[1];
+  }
+
+  const cookies = req.headers.cookie ? req.headers.cookie.split(';') : [];
+  for (const cookie of cookies) {
+    const [name, ...value] = cookie.trim().split('=');
+    if (name === 'token') return decodeURIComponent(value.join('='));
+  }
+
+  return null;
+};
+
+// Reject an upgrade before the socket is handed to ws
+const rejectUpgrade = (socket, status, message) => {
+  socket.write(`HTTP/1.1 ${status} ${message}\r\nConnection: close\r\n\r\n`);
+  socket.destroy();
+};
+
+const send = (ws, message) => {
+  if (ws.readyState === WebSocket.OPEN) {
+    ws.send(JSON.stringify(message));
+  }
+};
+
+// Normalize a symbols payload into a unique uppercase list
+const normalizeSymbols = (symbols) => {
+  const list = Array.isArray(symbols) ? symbols : [symbols];
+  return [...new Set(
+    list
+      .filter(symbol => typeof symbol === 'string')
+      .map(symbol => symbol.toUpperCase().trim())
+      .filter(symbol => /^[A-Z.]{1,10}$/.test(symbol))
+  )];
+};
+
+// Attach the price streaming WebSocket server to an HTTP server
+export const attachPriceStream = (server) => {
+  const { realTime } = getEnvironmentConfig();
+  const wss = new WebSocketServer({ noServer: true });
+
+  // symbol -> Set of sockets subscribed to it
+  const subscribers = new Map();
+
+  const subscribe = (ws, symbols) => {
+    const available = realTime.maxSymbolsPerClient - ws.symbols.size;
+    const accepted = symbols.filter(symbol => !ws.symbols.has(symbol)).slice(0, Math.max(0, available));
+
+    accepted.forEach(symbol => {
+      ws.symbols.add(symbol);
+      if (!subscribers.has(symbol)) subscribers.set(symbol, new Set());
+      subscribers.get(symbol).add(ws);
+    });
+
+    return accepted;
+  };
+
+  const unsubscribe = (ws, symbols) => {
+    symbols.forEach(symbol => {
+      ws.symbols.delete(symbol);
+      const sockets = subscribers.get(symbol);
+      if (!sockets) return;
+      sockets.delete(ws);
+      if (sockets.size === 0) subscribers.delete(symbol);
+    });
+  };
+
+  // Send the latest stored quote for newly subscribed symbols
+  const sendSnapshot = async (ws, symbols) => {
+    if (symbols.length === 0) return;
+
+    try {
+      const stocks = await Stock.findBySymbols(symbols);
+      stocks.forEach(stock => send(ws, {
+        type: 'quote',
+        data: {
+          symbol: stock.symbol,
+          price: stock.currentPrice.price,
+          change: stock.currentPrice.change,
+          changePercent: stock.currentPrice.changePercent,
+          volume: stock.dailyData?.volume ?? null,
+          lastUpdated: stock.currentPrice.lastUpdated
+        },
+        snapshot: true
+      }));
+    } catch (error) {
+      console.error('Price stream snapshot error:', error);
+    }
+  };
+
+  const handleMessage = async (ws, raw) => {
+    let message;
+    try {
+      message = JSON.parse(raw.toString());
+    } catch (error) {
+      return send(ws, { type: 'error', message: 'Messages must be valid JSON' });
+    }
+
+    switch (message.type) {
+      case 'subscribe': {
+        const symbols = normalizeSymbols(message.symbols);
+        const accepted = subscribe(ws, symbols);
+        send(ws, {
+          type: 'subscribed',
+          symbols: accepted,
+          rejected: symbols.filter(symbol => !accepted.includes(symbol) && !ws.symbols.has(symbol)),
+          total: ws.symbols.size
+        });
+        return sendSnapshot(ws, accepted);
+      }
+
+      case 'unsubscribe': {
+        const symbols = normalizeSymbols(message.symbols);
+        unsubscribe(ws, symbols);
+        return send(ws, { type: 'unsubscribed', symbols, total: ws.symbols.size });
+      }
+
+      case 'ping':
+        return send(ws, { type: 'pong', timestamp: new Date().toISOString() });
+
+      default:
+        return send(ws, { type: 'error', message: `Unknown message type: ${message.type}` });
+    }
+  };
+
+  // Authenticate before accepting the upgrade
+  const handleUpgrade = async (req, socket, head) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    if (pathname !== realTime.websocketPath) return;
+
+    try {
+      const user = await getUserFromToken(getTokenFromUpgrade(req));
+      wss.handleUpgrade(req, socket, head, (ws) => {
+        wss.emit('connection', ws, req, user);
+      });
+    } catch (error) {
+      rejectUpgrade(socket, 401, 'Unauthorized');
+    }
+  };
+
+  wss.on('connection', (ws, req, user) => {
+    ws.user = user;
+    ws.symbols = new Set();
+    ws.isAlive = true;
+
+    ws.on('pong', () => {
+      ws.isAlive = true;
+    });
+
+    ws.on('message', (raw) => {
+      handleMessage(ws, raw).catch(error => {
+        console.error('Price stream message error:', error);
+        send(ws, { type: 'error', message: 'Failed to process message' });
+      });
+    });
+
+    ws.on('close', () => {
+      unsubscribe(ws, [...ws.symbols]);
+    });
+
+    send(ws, {
+      type: 'welcome',
+      data: {
+        userId: user.id,
+        maxSymbols: realTime.maxSymbolsPerClient
+      }
+    });
+  });
+
+  // Fan quote updates out to subscribed sockets
+  const stopQuotes = onQuote((quote) => {
+    const sockets = subscribers.get(quote.symbol);
+    if (!sockets) return;
+    sockets.forEach(ws => send(ws, { type: 'quote', data: quote }));
+  });
+
+  // Deliver alert triggers and notifications to their owner's sockets
+  const stopUserEvents = onMarketEvent((event) => {
+    if (event.type === MARKET_EVENTS.QUOTE || !event.userId) return;
+    wss.clients.forEach(ws => {
+      if (ws.user && ws.user.id === event.userId) {
+        send(ws, { type: event.type, id: event.id, data: event.data });
+      }
+    });
+  });
+
+  // Drop connections that stop answering pings
+  const heartbeat = setInterval(() => {
+    wss.clients.forEach(ws => {
+      if (!ws.isAlive) return ws.terminate();
+      ws.isAlive = false;
+      ws.ping();
+    });
+  }, realTime.heartbeatInterval);
+
+  server.on('upgrade', handleUpgrade);
+
+  const close = () => new Promise((resolve) => {
+    clearInterval(heartbeat);
+    stopQuotes();
+    stopUserEvents();
+    server.off('upgrade', handleUpgrade);
+    wss.clients.forEach(ws => ws.close(1001, 'Server shutting down'));
+    wss.close(() => resolve());
+  });
+
+  return {
+    wss,
+    close,
+    getStats: () => ({
+      clients: wss.clients.size,
+      symbols: subscribers.size
+    })
+  };
+};
+
+export default {
+  attachPriceStream
+};
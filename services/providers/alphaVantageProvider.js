@@ -0,0 +1,213 @@
+import { MarketDataProvider, ProviderError, normalizeExchange, toNumber } from './baseProvider.js';
+import { zonedTimeToDate } from '../../config/marketHours.js';
+
+// Alpha Vantage time series functions and the payload key they return
+const SERIES = {
+  intraday: { endpoint: 'intraday', key: (interval) => `Time Series (${interval})` },
+  daily: { endpoint: 'daily', key: () => 'Time Series (Daily)' },
+  weekly: { endpoint: 'weekly', key: () => 'Weekly Time Series' },
+  monthly: { endpoint: 'monthly', key: () => 'Monthly Time Series' }
+};
+
+// Map our interval names onto Alpha Vantage series
+const INTERVAL_SERIES = {
+  '1m': { series: 'intraday', interval: '1min' },
+  '5m': { series: 'intraday', interval: '5min' },
+  '15m': { series: 'intraday', interval: '15min' },
+  '1h': { series: 'intraday', interval: '60min' },
+  '1d': { series: 'daily' },
+  '1w': { series: 'weekly' },
+  '1mo': { series: 'monthly' }
+};
+
+// Alpha Vantage sentiment labels -> Stock schema sentiment
+const SENTIMENT = {
+  'Bullish': 'positive',
+  'Somewhat-Bullish': 'positive',
+  'Neutral': 'neutral',
+  'Somewhat-Bearish': 'negative',
+  'Bearish': 'negative'
+};
+
+// Parse '20240115T133000' into a Date
+const parseNewsTime = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})$/.exec(value || '');
+  if (!match) return new Date();
+  const [, year, month, day, hour, minute, second] = match;
+  return new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+};
+
+export class AlphaVantageProvider extends MarketDataProvider {
+  constructor() {
+    super('alphaVantage', {
+      sourceName: 'alpha_vantage',
+      capabilities: ['quote', 'search', 'overview', 'history', 'news']
+    });
+  }
+
+  buildUrl(endpoint, params = {}) {
+    const query = new URLSearchParams({
+      function: this.config.endpoints[endpoint],
+      ...params,
+      apikey: this.config.apiKey
+    });
+    return `${this.config.baseUrl}?${query.toString()}`;
+  }
+
+  // Alpha Vantage reports throttling with a 200 and a Note/Information body
+  async fetch(endpoint, params) {
+    const data = await this.request(this.buildUrl(endpoint, params));
+
+    if (data?.Note || data?.Information) {
+      throw new ProviderError(data.Note || data.Information, {
+        provider: this.name,
+        code: 'THROTTLED',
+        statusCode: 429
+      });
+    }
+
+    if (data?.['Error Message']) {
+      throw new ProviderError(data['Error Message'], {
+        provider: this.name,
+        code: 'NOT_FOUND',
+        statusCode: 404
+      });
+    }
+
+    return data;
+  }
+
+  async quote(symbol) {
+    const data = await this.fetch('quote', { symbol });
+    const quote = data['Global Quote'];
+
+    if (!quote || !quote['05. price']) {
+      throw new ProviderError(`No quote data for ${symbol}`, {
+        provider: this.name,
+        code: 'NOT_FOUND',
+        statusCode: 404
+      });
+    }
+
+    const price = toNumber(quote['05. price']);
+
+    return {
+      symbol: quote['01. symbol'],
+      currentPrice: {
+        price,
+        change: toNumber(quote['09. change']),
+        changePercent: toNumber(quote['10. change percent']),
+        lastUpdated: new Date()
+      },
+      dailyData: {
+        open: toNumber(quote['02. open']),
+        high: toNumber(quote['03. high']),
+        low: toNumber(quote['04. low']),
+        close: price,
+        volume: toNumber(quote['06. volume']),
+        previousClose: toNumber(quote['08. previous close']),
+        date: quote['07. latest trading day'] ? new Date(quote['07. latest trading day']) : new Date()
+      },
+      dataSource: this.sourceName
+    };
+  }
+
+  async search(query) {
+    const data = await this.fetch('search', { keywords: query });
+
+    return (data.bestMatches || []).map(match => ({
+      symbol: match['1. symbol'],
+      companyName: match['2. name'],
+      type: match['3. type'],
+      exchange: match['4. region'],
+      currency: match['8. currency']
+    }));
+  }
+
+  async overview(symbol) {
+    const data = await this.fetch('overview', { symbol });
+
+    if (!data || !data.Symbol) {
+      throw new ProviderError(`No overview data for ${symbol}`, {
+        provider: this.name,
+        code: 'NOT_FOUND',
+        statusCode: 404
+      });
+    }
+
+    const dividendYield = toNumber(data.DividendYield);
+
+    return {
+      symbol: data.Symbol,
+      companyName: data.Name,
+      exchange: normalizeExchange(data.Exchange),
+      currency: data.Currency || 'USD',
+      companyInfo: {
+        sector: data.Sector,
+        industry: data.Industry,
+        website: data.OfficialSite,
+        description: data.Description?.slice(0, 2000),
+        employees: toNumber(data.FullTimeEmployees),
+        country: data.Country
+      },
+      historicalSummary: {
+        week52High: toNumber(data['52WeekHigh']),
+        week52Low: toNumber(data['52WeekLow']),
+        marketCap: toNumber(data.MarketCapitalization),
+        peRatio: toNumber(data.PERatio),
+        dividendYield: dividendYield === null ? null : dividendYield * 100
+      },
+      financials: {
+        eps: toNumber(data.EPS),
+        revenue: toNumber(data.RevenueTTM),
+        profitMargin: toNumber(data.ProfitMargin)
+      },
+      dataSource: this.sourceName
+    };
+  }
+
+  async history(symbol, { interval = '1d', outputSize = 'compact' } = {}) {
+    const mapping = INTERVAL_SERIES[interval];
+    if (!mapping) {
+      throw new ProviderError(`Unsupported interval: ${interval}`, {
+        provider: this.name,
+        code: 'UNSUPPORTED',
+        statusCode: 400
+      });
+    }
+
+    const series = SERIES[mapping.series];
+    const params = { symbol, outputsize: outputSize };
+    if (mapping.interval) params.interval = mapping.interval;
+
+    const data = await this.fetch(series.endpoint, params);
+    const points = data[series.key(mapping.interval)] || {};
+
+    return Object.entries(points)
+      .map(([date, bar]) => ({
+        // Timestamps and session dates are US/Eastern wall-clock times
+        date: zonedTimeToDate(date),
+        open: toNumber(bar['1. open']),
+        high: toNumber(bar['2. high']),
+        low: toNumber(bar['3. low']),
+        close: toNumber(bar['4. close']),
+        volume: toNumber(bar['5. volume'])
+      }))
+      .sort((a, b) => a.date - b.date);
+  }
+
+  async news(symbol, { limit = 10 } = {}) {
+    const data = await this.fetch('news', { tickers: symbol, limit });
+
+    return (data.feed || []).slice(0, limit).map(item => ({
+      headline: item.title,
+      source: item.source,
+      url: item.url,
+      summary: item.summary?.slice(0, 500),
+      publishedAt: parseNewsTime(item.time_published),
+      sentiment: SENTIMENT[item.overall_sentiment_label] || 'neutral'
+    }));
+  }
+}
+
+export default AlphaVantageProvider;
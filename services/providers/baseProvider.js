@@ -0,0 +1,123 @@
+import axios from 'axios';
+import { getStockApiConfig } from '../../config/stockApi.js';
+
+// Error raised by market data providers
+export class ProviderError extends Error {
+  constructor(message, { provider, code = 'PROVIDER_ERROR', statusCode = 502 } = {}) {
+    super(message);
+    this.name = 'ProviderError';
+    this.provider = provider;
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+// Exchanges accepted by the Stock schema
+const KNOWN_EXCHANGES = ['NASDAQ', 'NYSE', 'AMEX'];
+
+// Map provider exchange names onto the Stock schema enum
+export const normalizeExchange = (exchange) => {
+  if (!exchange) return 'OTHER';
+  const upper = exchange.toUpperCase();
+  if (upper.includes('NASDAQ') || upper === 'NMS' || upper === 'NGM' || upper === 'NCM') return 'NASDAQ';
+  if (upper.includes('AMEX') || upper.includes('AMERICAN') || upper === 'ASE') return 'AMEX';
+  if (upper.includes('NYSE') || upper.includes('NEW YORK') || upper === 'NYQ') return 'NYSE';
+  return KNOWN_EXCHANGES.includes(upper) ? upper : 'OTHER';
+};
+
+// Parse a numeric field, Yahoo fields may come back as { raw, fmt } objects
+export const toNumber = (value) => {
+  const raw = value && typeof value === 'object' ? value.raw : value;
+  if (raw === null || raw === undefined || raw === '' || raw === 'None' || raw === '-') return null;
+  const num = parseFloat(raw);
+  return isNaN(num) ? null : num;
+};
+
+// Base class for market data provider adapters.
+// Every adapter returns payloads shaped like the Stock schema:
+//   quote    -> { symbol, currentPrice, dailyData, dataSource }
+//   overview -> { symbol, companyName, exchange, currency, companyInfo, historicalSummary, financials, dataSource }
+//   search   -> [{ symbol, companyName, type, exchange, currency }]
+//   history  -> [{ date, open, high, low, close, volume }] oldest first
+//   news     -> [{ headline, source, url, summary, publishedAt, sentiment }]
+export class MarketDataProvider {
+  constructor(name, { sourceName, capabilities = [] } = {}) {
+    this.name = name;
+    this.sourceName = sourceName || name;
+    this.capabilities = capabilities;
+  }
+
+  get config() {
+    return getStockApiConfig()[this.name];
+  }
+
+  // Check if the provider has credentials configured
+  isAvailable() {
+    return !!this.config?.apiKey;
+  }
+
+  // Check if the provider implements a method
+  supports(method) {
+    return this.capabilities.includes(method);
+  }
+
+  // Number of upstream requests a method spends against the rate limit
+  getCost(method) {
+    return 1;
+  }
+
+  // Extra headers sent with every request
+  getHeaders() {
+    return {};
+  }
+
+  // Perform a GET request and return the response body
+  async request(url) {
+    const { request } = getStockApiConfig();
+
+    try {
+      const response = await axios.get(url, {
+        headers: { 'User-Agent': request.userAgent, ...this.getHeaders() },
+        timeout: request.timeout
+      });
+      return response.data;
+    } catch (error) {
+      const status = error.response?.status;
+      throw new ProviderError(`${this.name} request failed: ${error.message}`, {
+        provider: this.name,
+        code: status === 429 ? 'THROTTLED' : status === 404 ? 'NOT_FOUND' : 'HTTP_ERROR',
+        statusCode: status === 404 ? 404 : 502
+      });
+    }
+  }
+
+  unsupported(method) {
+    return new ProviderError(`${this.name} does not support ${method}`, {
+      provider: this.name,
+      code: 'UNSUPPORTED',
+      statusCode: 501
+    });
+  }
+
+  async quote(symbol) {
+    throw this.unsupported('quote');
+  }
+
+  async search(query) {
+    throw this.unsupported('search');
+  }
+
+  async overview(symbol) {
+    throw this.unsupported('overview');
+  }
+
+  async history(symbol, options = {}) {
+    throw this.unsupported('history');
+  }
+
+  async news(symbol, options = {}) {
+    throw this.unsupported('news');
+  }
+}
+
+export default MarketDataProvider;
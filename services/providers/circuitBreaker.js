@@ -0,0 +1,101 @@
+// Circuit breaker states
+export const BREAKER_STATES = {
+  CLOSED: 'CLOSED',
+  OPEN: 'OPEN',
+  HALF_OPEN: 'HALF_OPEN'
+};
+
+// Tracks failures for one provider and stops calling it while it is unhealthy
+export class CircuitBreaker {
+  constructor(name, { failureThreshold = 3, cooldownMs = 60000 } = {}) {
+    this.name = name;
+    this.failureThreshold = failureThreshold;
+    this.cooldownMs = cooldownMs;
+
+    this.state = BREAKER_STATES.CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+    this.lastError = null;
+    this.lastFailureAt = null;
+    this.lastSuccessAt = null;
+    this.totalFailures = 0;
+    this.totalSuccesses = 0;
+  }
+
+  // Check whether a call may go through, moving OPEN -> HALF_OPEN after the cool-down
+  canRequest(now = Date.now()) {
+    if (this.state === BREAKER_STATES.CLOSED) return true;
+
+    if (this.state === BREAKER_STATES.OPEN && now - this.openedAt >= this.cooldownMs) {
+      this.state = BREAKER_STATES.HALF_OPEN;
+      this.trialInFlight = false;
+    }
+
+    // Half-open lets a single trial call through
+    if (this.state === BREAKER_STATES.HALF_OPEN && !this.trialInFlight) {
+      this.trialInFlight = true;
+      return true;
+    }
+
+    return false;
+  }
+
+  recordSuccess() {
+    this.state = BREAKER_STATES.CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+    this.lastSuccessAt = new Date();
+    this.totalSuccesses += 1;
+  }
+
+  recordFailure(error) {
+    this.failures += 1;
+    this.totalFailures += 1;
+    this.lastFailureAt = new Date();
+    this.lastError = error?.message || String(error);
+
+    // A failed trial re-opens immediately, otherwise open at the threshold
+    if (this.state === BREAKER_STATES.HALF_OPEN || this.failures >= this.failureThreshold) {
+      this.open();
+    }
+  }
+
+  // Give back a half-open trial that never reached the provider
+  releaseTrial() {
+    this.trialInFlight = false;
+  }
+
+  open() {
+    this.state = BREAKER_STATES.OPEN;
+    this.openedAt = Date.now();
+    this.trialInFlight = false;
+  }
+
+  reset() {
+    this.state = BREAKER_STATES.CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  getStatus() {
+    return {
+      state: this.state,
+      failures: this.failures,
+      failureThreshold: this.failureThreshold,
+      openedAt: this.openedAt ? new Date(this.openedAt) : null,
+      nextAttemptAt: this.state === BREAKER_STATES.OPEN
+        ? new Date(this.openedAt + this.cooldownMs)
+        : null,
+      lastError: this.lastError,
+      lastFailureAt: this.lastFailureAt,
+      lastSuccessAt: this.lastSuccessAt,
+      totalFailures: this.totalFailures,
+      totalSuccesses: this.totalSuccesses
+    };
+  }
+}
+
+export default CircuitBreaker;
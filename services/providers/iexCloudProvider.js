@@ -0,0 +1,169 @@
+import { MarketDataProvider, ProviderError, normalizeExchange, toNumber } from './baseProvider.js';
+import { zonedTimeToDate } from '../../config/marketHours.js';
+
+// Map our interval names onto IEX chart ranges
+const CHART_RANGES = {
+  '1m': '1d',
+  '5m': '5dm',
+  '1d': '1y',
+  '1w': '5y',
+  '1mo': 'max'
+};
+
+export class IexCloudProvider extends MarketDataProvider {
+  constructor() {
+    super('iexCloud', {
+      sourceName: 'iex_cloud',
+      capabilities: ['quote', 'search', 'overview', 'history', 'news']
+    });
+  }
+
+  // Overview combines the company and stats endpoints
+  getCost(method) {
+    return method === 'overview' ? 2 : 1;
+  }
+
+  buildUrl(endpoint, params = {}) {
+    let path = this.config.endpoints[endpoint];
+    Object.entries(params).forEach(([key, value]) => {
+      path = path.replace(`{${key}}`, encodeURIComponent(value));
+    });
+
+    const search = new URLSearchParams({ token: this.config.apiKey });
+    return `${this.config.baseUrl}${path}?${search.toString()}`;
+  }
+
+  async quote(symbol) {
+    const data = await this.request(this.buildUrl('quote', { symbol }));
+
+    if (!data || data.latestPrice === undefined || data.latestPrice === null) {
+      throw new ProviderError(`No quote data for ${symbol}`, {
+        provider: this.name,
+        code: 'NOT_FOUND',
+        statusCode: 404
+      });
+    }
+
+    const price = toNumber(data.latestPrice);
+    const changePercent = toNumber(data.changePercent);
+
+    return {
+      symbol: data.symbol || symbol,
+      currentPrice: {
+        price,
+        change: toNumber(data.change),
+        // IEX reports change percent as a fraction
+        changePercent: changePercent === null ? null : changePercent * 100,
+        lastUpdated: new Date()
+      },
+      dailyData: {
+        open: toNumber(data.open),
+        high: toNumber(data.high),
+        low: toNumber(data.low),
+        close: price,
+        volume: toNumber(data.latestVolume ?? data.volume),
+        previousClose: toNumber(data.previousClose),
+        date: data.latestUpdate ? new Date(data.latestUpdate) : new Date()
+      },
+      dataSource: this.sourceName
+    };
+  }
+
+  async search(query) {
+    const data = await this.request(this.buildUrl('search', { query }));
+
+    return (data || []).map(item => ({
+      symbol: item.symbol,
+      companyName: item.securityName || item.name || item.symbol,
+      type: item.securityType,
+      exchange: item.exchange,
+      currency: item.currency || 'USD'
+    }));
+  }
+
+  async overview(symbol) {
+    const [company, stats] = await Promise.all([
+      this.request(this.buildUrl('company', { symbol })),
+      this.request(this.buildUrl('stats', { symbol }))
+    ]);
+
+    if (!company || !company.symbol) {
+      throw new ProviderError(`No overview data for ${symbol}`, {
+        provider: this.name,
+        code: 'NOT_FOUND',
+        statusCode: 404
+      });
+    }
+
+    const dividendYield = toNumber(stats?.dividendYield);
+
+    return {
+      symbol: company.symbol,
+      companyName: company.companyName,
+      exchange: normalizeExchange(company.exchange),
+      currency: 'USD',
+      companyInfo: {
+        sector: company.sector,
+        industry: company.industry,
+        website: company.website,
+        description: company.description?.slice(0, 2000),
+        CEO: company.CEO,
+        employees: toNumber(company.employees),
+        country: company.country
+      },
+      historicalSummary: {
+        week52High: toNumber(stats?.week52high),
+        week52Low: toNumber(stats?.week52low),
+        marketCap: toNumber(stats?.marketcap),
+        peRatio: toNumber(stats?.peRatio),
+        dividendYield: dividendYield === null ? null : dividendYield * 100,
+        avgVolume: toNumber(stats?.avg30Volume)
+      },
+      financials: {
+        eps: toNumber(stats?.ttmEPS)
+      },
+      dataSource: this.sourceName
+    };
+  }
+
+  async history(symbol, { interval = '1d', range } = {}) {
+    const chartRange = range || CHART_RANGES[interval];
+    if (!chartRange) {
+      throw new ProviderError(`Unsupported interval: ${interval}`, {
+        provider: this.name,
+        code: 'UNSUPPORTED',
+        statusCode: 400
+      });
+    }
+
+    const data = await this.request(this.buildUrl('chart', { symbol, range: chartRange }));
+
+    return (data || [])
+      .map(bar => ({
+        // Minute bars and session dates are US/Eastern wall-clock times
+        date: zonedTimeToDate(bar.minute ? `${bar.date} ${bar.minute}:00` : bar.date),
+        open: toNumber(bar.open),
+        high: toNumber(bar.high),
+        low: toNumber(bar.low),
+        close: toNumber(bar.close),
+        volume: toNumber(bar.volume)
+      }))
+      .filter(bar => bar.close !== null)
+      .sort((a, b) => a.date - b.date);
+  }
+
+  async news(symbol, { limit = 10 } = {}) {
+    const data = await this.request(this.buildUrl('news', { symbol, limit }));
+
+    return (data || []).map(item => ({
+      headline: item.headline,
+      source: item.source,
+      url: item.url,
+      summary: item.summary?.slice(0, 500),
+      publishedAt: item.datetime ? new Date(item.datetime) : new Date(),
+      sentiment: 'neutral'
+    }));
+  }
+}
+
+export default IexCloudProvider;
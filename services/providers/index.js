@@ -0,0 +1,78 @@
+import { getStockApiConfig, getActiveApiProvider } from '../../config/stockApi.js';
+import { AlphaVantageProvider } from './alphaVantageProvider.js';
+import { YahooFinanceProvider } from './yahooFinanceProvider.js';
+import { IexCloudProvider } from './iexCloudProvider.js';
+import { SimulatedProvider } from './simulatedProvider.js';
+import { CircuitBreaker } from './circuitBreaker.js';
+
+export * from './baseProvider.js';
+export * from './circuitBreaker.js';
+
+// Provider adapters keyed by their stockApiConfig name
+const providers = {
+  alphaVantage: new AlphaVantageProvider(),
+  yahooFinance: new YahooFinanceProvider(),
+  iexCloud: new IexCloudProvider(),
+  simulated: new SimulatedProvider()
+};
+
+// One circuit breaker per provider, created on first use
+const breakers = new Map();
+
+// Get the circuit breaker guarding a provider
+export const getBreaker = (name) => {
+  if (!breakers.has(name)) {
+    breakers.set(name, new CircuitBreaker(name, getStockApiConfig().circuitBreaker));
+  }
+  return breakers.get(name);
+};
+
+// Get a provider adapter by name
+export const getProvider = (name) => {
+  const provider = providers[name];
+  if (!provider) throw new Error(`Unknown provider: ${name}`);
+  return provider;
+};
+
+// Get all registered provider adapters
+export const getProviders = () => Object.values(providers);
+
+// Get available providers, active provider first then the fallback order
+export const getProviderChain = () => {
+  const { fallback } = getStockApiConfig();
+  const active = getActiveApiProvider();
+
+  // Simulated data is never mixed with real quotes
+  if (active === 'simulated') {
+    return [providers.simulated];
+  }
+
+  const order = [active, fallback.primary, fallback.secondary, fallback.tertiary];
+
+  return [...new Set(order)]
+    .filter(name => providers[name] && providers[name].isAvailable())
+    .map(name => providers[name]);
+};
+
+// Get the providers that implement a method, in failover order
+export const getFailoverChain = (method) => {
+  return getProviderChain().filter(candidate => candidate.supports(method));
+};
+
+// Report availability and breaker state for every provider
+export const getProviderHealth = () => {
+  return getProviders().map(provider => ({
+    name: provider.name,
+    available: provider.isAvailable(),
+    breaker: getBreaker(provider.name).getStatus()
+  }));
+};
+
+export default {
+  getBreaker,
+  getProvider,
+  getProviders,
+  getProviderChain,
+  getFailoverChain,
+  getProviderHealth
+};
@@ -0,0 +1,228 @@
+import ProviderUsage from '../../models/ProviderUsage.js';
+import { getStockApiConfig, getRateLimit } from '../../config/stockApi.js';
+import { ProviderError } from './baseProvider.js';
+import { logger } from '../../middleware/logger.js';
+
+// Request priorities, user-facing calls go ahead of background work
+export const REQUEST_PRIORITIES = {
+  HIGH: 'high',
+  NORMAL: 'normal',
+  LOW: 'low'
+};
+
+const PRIORITY_ORDER = { high: 0, normal: 1, low: 2 };
+
+// Token bucket and quota counters for one provider
+class ProviderBudget {
+  constructor(provider) {
+    this.provider = provider;
+    this.limits = getRateLimit(provider);
+    this.capacity = this.limits.requestsPerMinute || null;
+    this.tokens = this.capacity;
+    this.lastRefill = Date.now();
+    this.usage = {
+      day: { key: ProviderUsage.getPeriodKey('day'), count: 0 },
+      month: { key: ProviderUsage.getPeriodKey('month'), count: 0 }
+    };
+    this.queue = [];
+    this.timer = null;
+  }
+
+  // Add tokens for the time elapsed since the last refill
+  refill(now = Date.now()) {
+    if (!this.capacity) return;
+    const elapsed = now - this.lastRefill;
+    this.tokens = Math.min(this.capacity, this.tokens + (elapsed * this.capacity) / 60000);
+    this.lastRefill = now;
+  }
+
+  // Reset counters when the day or month rolls over
+  rollPeriods(date = new Date()) {
+    ['day', 'month'].forEach(period => {
+      const key = ProviderUsage.getPeriodKey(period, date);
+      if (this.usage[period].key !== key) {
+        this.usage[period] = { key, count: 0 };
+      }
+    });
+  }
+
+  hasQuota(cost = 1) {
+    this.rollPeriods();
+    const { requestsPerDay, requestsPerMonth } = this.limits;
+    if (requestsPerDay && this.usage.day.count + cost > requestsPerDay) return false;
+    if (requestsPerMonth && this.usage.month.count + cost > requestsPerMonth) return false;
+    return true;
+  }
+
+  hasTokens(cost = 1) {
+    if (!this.capacity) return true;
+    this.refill();
+    return this.tokens >= cost;
+  }
+
+  // Milliseconds until enough tokens are available
+  waitFor(cost = 1) {
+    if (!this.capacity) return 0;
+    return Math.ceil(((cost - this.tokens) * 60000) / this.capacity);
+  }
+
+  consume(cost = 1) {
+    if (this.capacity) this.tokens -= cost;
+    this.usage.day.count += cost;
+    this.usage.month.count += cost;
+  }
+
+  remaining(limit, used) {
+    return limit ? Math.max(0, limit - used) : null;
+  }
+
+  getQuota() {
+    this.rollPeriods();
+    this.refill();
+
+    return {
+      minute: {
+        limit: this.capacity,
+        remaining: this.capacity ? Math.floor(this.tokens) : null
+      },
+      day: {
+        limit: this.limits.requestsPerDay || null,
+        used: this.usage.day.count,
+        remaining: this.remaining(this.limits.requestsPerDay, this.usage.day.count)
+      },
+      month: {
+        limit: this.limits.requestsPerMonth || null,
+        used: this.usage.month.count,
+        remaining: this.remaining(this.limits.requestsPerMonth, this.usage.month.count)
+      },
+      queued: this.queue.length
+    };
+  }
+}
+
+// Queues outgoing provider calls so they stay within each provider's budget
+export class RequestScheduler {
+  constructor() {
+    this.budgets = new Map();
+    this.sequence = 0;
+  }
+
+  getBudget(provider) {
+    if (!this.budgets.has(provider)) {
+      this.budgets.set(provider, new ProviderBudget(provider));
+    }
+    return this.budgets.get(provider);
+  }
+
+  // Restore today's and this month's counters persisted before a restart
+  async loadUsage(providers) {
+    await Promise.all(providers.map(async (provider) => {
+      try {
+        const usage = await ProviderUsage.getCurrentUsage(provider);
+        const budget = this.getBudget(provider);
+        budget.usage.day = usage.day;
+        budget.usage.month = usage.month;
+      } catch (error) {
+        logger.error(`Failed to load usage for ${provider}:`, error);
+      }
+    }));
+  }
+
+  hasQuota(provider, cost = 1) {
+    return this.getBudget(provider).hasQuota(cost);
+  }
+
+  // Queue a provider call, resolves with the task's result
+  schedule(provider, task, { priority = REQUEST_PRIORITIES.NORMAL, cost = 1 } = {}) {
+    const budget = this.getBudget(provider);
+
+    if (!budget.hasQuota(cost)) {
+      return Promise.reject(this.quotaError(provider));
+    }
+
+    return new Promise((resolve, reject) => {
+      const { queueTimeouts } = getStockApiConfig().scheduler;
+      const entry = {
+        task,
+        cost,
+        priority: PRIORITY_ORDER[priority] ?? PRIORITY_ORDER.normal,
+        sequence: ++this.sequence,
+        resolve,
+        reject
+      };
+
+      // Give up on requests that wait too long so callers can fail over
+      entry.timeout = setTimeout(() => {
+        budget.queue = budget.queue.filter(queued => queued !== entry);
+        reject(new ProviderError(`${provider} request queue timed out`, {
+          provider,
+          code: 'QUEUE_TIMEOUT',
+          statusCode: 503
+        }));
+      }, queueTimeouts[priority] || queueTimeouts.normal);
+
+      budget.queue.push(entry);
+      budget.queue.sort((a, b) => a.priority - b.priority || a.sequence - b.sequence);
+      this.drain(provider);
+    });
+  }
+
+  // Run queued calls while tokens and quota allow
+  drain(provider) {
+    const budget = this.getBudget(provider);
+
+    if (budget.timer) {
+      clearTimeout(budget.timer);
+      budget.timer = null;
+    }
+
+    while (budget.queue.length > 0) {
+      const entry = budget.queue[0];
+
+      if (!budget.hasQuota(entry.cost)) {
+        budget.queue.splice(0).forEach(queued => {
+          clearTimeout(queued.timeout);
+          queued.reject(this.quotaError(provider));
+        });
+        return;
+      }
+
+      if (!budget.hasTokens(entry.cost)) {
+        budget.timer = setTimeout(() => this.drain(provider), budget.waitFor(entry.cost));
+        return;
+      }
+
+      budget.queue.shift();
+      clearTimeout(entry.timeout);
+      budget.consume(entry.cost);
+      this.recordUsage(provider, entry.cost);
+
+      Promise.resolve()
+        .then(entry.task)
+        .then(entry.resolve, entry.reject);
+    }
+  }
+
+  recordUsage(provider, cost) {
+    ProviderUsage.increment(provider, cost).catch(error => {
+      logger.error(`Failed to record usage for ${provider}:`, error);
+    });
+  }
+
+  quotaError(provider) {
+    return new ProviderError(`${provider} request quota exhausted`, {
+      provider,
+      code: 'QUOTA_EXHAUSTED',
+      statusCode: 429
+    });
+  }
+
+  getQuota(provider) {
+    return this.getBudget(provider).getQuota();
+  }
+}
+
+// Shared scheduler for all provider calls
+export const requestScheduler = new RequestScheduler();
+
+export default requestScheduler;
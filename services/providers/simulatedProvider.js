@@ -0,0 +1,473 @@
+import { MarketDataProvider, ProviderError } from './baseProvider.js';
+import { isSimulatorEnabled } from '../../config/stockApi.js';
+import { getMarketHoursConfig, getZonedDate, zonedTimeToDate } from '../../config/marketHours.js';
+
+// Company details for the default simulated universe
+const COMPANIES = {
+  AAPL: { companyName: 'Apple Inc.', exchange: 'NASDAQ', sector: 'Technology', industry: 'Consumer Electronics' },
+  MSFT: { companyName: 'Microsoft Corporation', exchange: 'NASDAQ', sector: 'Technology', industry: 'Software' },
+  GOOGL: { companyName: 'Alphabet Inc.', exchange: 'NASDAQ', sector: 'Communication Services', industry: 'Internet Content' },
+  AMZN: { companyName: 'Amazon.com Inc.', exchange: 'NASDAQ', sector: 'Consumer Cyclical', industry: 'Internet Retail' },
+  TSLA: { companyName: 'Tesla Inc.', exchange: 'NASDAQ', sector: 'Consumer Cyclical', industry: 'Auto Manufacturers' },
+  NVDA: { companyName: 'NVIDIA Corporation', exchange: 'NASDAQ', sector: 'Technology', industry: 'Semiconductors' },
+  META: { companyName: 'Meta Platforms Inc.', exchange: 'NASDAQ', sector: 'Communication Services', industry: 'Internet Content' },
+  JPM: { companyName: 'JPMorgan Chase & Co.', exchange: 'NYSE', sector: 'Financial Services', industry: 'Banks' },
+  KO: { companyName: 'The Coca-Cola Company', exchange: 'NYSE', sector: 'Consumer Defensive', industry: 'Beverages' },
+  XOM: { companyName: 'Exxon Mobil Corporation', exchange: 'NYSE', sector: 'Energy', industry: 'Oil & Gas' }
+};
+
+// Market regimes the random walk switches between (daily drift and volatility)
+const REGIMES = {
+  calm: { drift: 0.0003, volatility: 0.008 },
+  bull: { drift: 0.0015, volatility: 0.012 },
+  bear: { drift: -0.0015, volatility: 0.016 },
+  volatile: { drift: 0, volatility: 0.03 }
+};
+
+const REGIME_NAMES = Object.keys(REGIMES);
+
+// Minutes in the regular session (09:30 - 16:00)
+const MINUTES_PER_DAY = 390;
+
+// Bar sizes in minutes for intraday intervals
+const INTRADAY_INTERVALS = {
+  '1m': 1,
+  '5m': 5,
+  '15m': 15,
+  '1h': 60
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Intraday paths kept in memory, enough for recent days of a watchlist
+const MAX_CACHED_PATHS = 200;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Hash a string into a 32-bit seed (FNV-1a)
+const hashSeed = (value) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+// Deterministic PRNG (mulberry32) returning floats in [0, 1)
+export const createRandom = (seed) => {
+  let state = typeof seed === 'number' ? seed >>> 0 : hashSeed(String(seed));
+
+  const random = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  // Standard normal sample (Box-Muller)
+  random.normal = () => {
+    const u = random() || Number.EPSILON;
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+  };
+
+  random.between = (min, max) => min + random() * (max - min);
+
+  return random;
+};
+
+// Shift a 'YYYY-MM-DD' key by whole days
+const addDays = (dateKey, days) => {
+  return new Date(Date.parse(`${dateKey}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+};
+
+const weekdayOf = (dateKey) => new Date(`${dateKey}T00:00:00Z`).getUTCDay();
+
+// Merge consecutive bars into one OHLCV bar
+const mergeBars = (bars) => ({
+  date: bars[0].date,
+  open: bars[0].open,
+  high: Math.max(...bars.map(bar => bar.high)),
+  low: Math.min(...bars.map(bar => bar.low)),
+  close: bars[bars.length - 1].close,
+  volume: bars.reduce((sum, bar) => sum + bar.volume, 0)
+});
+
+// Group bars by a key, keeping chronological order
+const groupBars = (bars, keyOf) => {
+  const groups = new Map();
+  bars.forEach(bar => {
+    const key = keyOf(bar);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(bar);
+  });
+  return [...groups.values()].map(mergeBars);
+};
+
+// Offline market simulator. Prices follow a seeded random walk with regime
+// changes and gap opens, so the same seed always replays the same market.
+export class SimulatedProvider extends MarketDataProvider {
+  constructor() {
+    super('simulated', {
+      sourceName: 'simulated',
+      capabilities: ['quote', 'search', 'overview', 'history', 'news']
+    });
+
+    this.series = new Map();
+    this.paths = new Map();
+  }
+
+  isAvailable() {
+    return isSimulatorEnabled();
+  }
+
+  // Current time, separated out so callers can replay a fixed moment
+  now() {
+    return new Date();
+  }
+
+  notFound(symbol) {
+    return new ProviderError(`${symbol} is not in the simulated universe`, {
+      provider: this.name,
+      code: 'NOT_FOUND',
+      statusCode: 404
+    });
+  }
+
+  // Static company profile derived from the seed
+  getProfile(symbol) {
+    if (!this.config.symbols.includes(symbol)) {
+      throw this.notFound(symbol);
+    }
+
+    const random = createRandom(`${this.config.seed}:${symbol}:profile`);
+    const company = COMPANIES[symbol] || {
+      companyName: `${symbol} Holdings Inc.`,
+      exchange: random() < 0.5 ? 'NASDAQ' : 'NYSE',
+      sector: 'Industrials',
+      industry: 'Conglomerates'
+    };
+
+    return {
+      symbol,
+      ...company,
+      basePrice: round(random.between(20, 400)),
+      volatilityScale: random.between(0.7, 1.5),
+      avgVolume: Math.round(random.between(2e6, 60e6)),
+      sharesOutstanding: Math.round(random.between(3e8, 1.6e10)),
+      eps: random.between(1, 12),
+      dividendYield: random() < 0.4 ? 0 : round(random.between(0.3, 3.5))
+    };
+  }
+
+  // Daily series through a trading date, extended lazily from the start date
+  getSeries(symbol, throughDate) {
+    let series = this.series.get(symbol);
+
+    if (!series) {
+      const profile = this.getProfile(symbol);
+      series = {
+        profile,
+        random: createRandom(`${this.config.seed}:${symbol}:daily`),
+        regime: 'calm',
+        lastClose: profile.basePrice,
+        nextDate: this.config.startDate,
+        days: []
+      };
+      this.series.set(symbol, series);
+    }
+
+    const { tradingDays } = getMarketHoursConfig();
+
+    while (series.nextDate <= throughDate) {
+      const date = series.nextDate;
+      series.nextDate = addDays(date, 1);
+
+      if (tradingDays.includes(weekdayOf(date))) {
+        series.days.push(this.simulateDay(series, date));
+      }
+    }
+
+    return series;
+  }
+
+  // Draw the open, close and volume for the next trading day
+  simulateDay(series, date) {
+    const { random, profile } = series;
+
+    // Regimes persist for a few weeks on average
+    if (random() < this.config.regimeSwitchProbability) {
+      series.regime = REGIME_NAMES[Math.floor(random() * REGIME_NAMES.length)];
+    }
+
+    const regime = REGIMES[series.regime];
+    const volatility = regime.volatility * profile.volatilityScale;
+
+    // Overnight gap, occasionally a large one as if on news
+    const gapped = random() < this.config.gapProbability;
+    const gap = random.normal() * volatility * (gapped ? 3 : 0.2);
+    const open = round(series.lastClose * Math.exp(gap));
+    const close = round(open * Math.exp(regime.drift + random.normal() * volatility));
+
+    // Volume rises with the size of the move
+    const move = Math.abs(Math.log(close / series.lastClose));
+    const volume = Math.round(profile.avgVolume * Math.exp(random.normal() * 0.3) * (1 + move * 20) * (gapped ? 2 : 1));
+
+    const day = {
+      date,
+      open,
+      close,
+      previousClose: series.lastClose,
+      volume,
+      regime: series.regime,
+      gapped
+    };
+
+    series.lastClose = close;
+    return day;
+  }
+
+  // Minute bars for a trading day, a Brownian bridge from the open to the close
+  getMinuteBars(symbol, day, profile) {
+    const key = `${symbol}:${day.date}`;
+    if (this.paths.has(key)) return this.paths.get(key);
+
+    const random = createRandom(`${this.config.seed}:${key}`);
+    const volatility = (REGIMES[day.regime].volatility * profile.volatilityScale) / Math.sqrt(MINUTES_PER_DAY);
+
+    const walk = [0];
+    for (let i = 1; i <= MINUTES_PER_DAY; i++) {
+      walk.push(walk[i - 1] + random.normal() * volatility);
+    }
+
+    const target = Math.log(day.close / day.open);
+    const path = walk.map((value, i) => value - (i / MINUTES_PER_DAY) * (walk[MINUTES_PER_DAY] - target));
+
+    // U-shaped volume curve, busy at the open and close
+    const weights = path.slice(1).map((_, i) => 1 + 8 * Math.pow(i / (MINUTES_PER_DAY - 1) - 0.5, 2));
+    const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+
+    const { sessions } = getMarketHoursConfig();
+    const sessionStart = zonedTimeToDate(`${day.date} ${sessions.REGULAR.start}:00`).getTime();
+
+    const bars = weights.map((weight, i) => {
+      const open = day.open * Math.exp(path[i]);
+      const close = day.open * Math.exp(path[i + 1]);
+      const wick = Math.abs(random.normal()) * volatility * 0.5;
+
+      return {
+        date: new Date(sessionStart + i * 60000),
+        open: round(open),
+        high: round(Math.max(open, close) * (1 + wick)),
+        low: round(Math.min(open, close) * (1 - wick)),
+        close: round(close),
+        volume: Math.round((day.volume * weight) / totalWeight)
+      };
+    });
+
+    // Keep the day's close exact after rounding
+    bars[bars.length - 1].close = day.close;
+
+    if (this.paths.size >= MAX_CACHED_PATHS) {
+      this.paths.delete(this.paths.keys().next().value);
+    }
+    this.paths.set(key, bars);
+
+    return bars;
+  }
+
+  // Full daily bar including the intraday high and low
+  getDailyBar(symbol, day, profile) {
+    if (day.high === undefined) {
+      const bars = this.getMinuteBars(symbol, day, profile);
+      day.high = Math.max(day.open, ...bars.map(bar => bar.high));
+      day.low = Math.min(day.open, ...bars.map(bar => bar.low));
+    }
+
+    return {
+      date: zonedTimeToDate(`${day.date} 00:00:00`),
+      open: day.open,
+      high: day.high,
+      low: day.low,
+      close: day.close,
+      volume: day.volume
+    };
+  }
+
+  // Market state for a symbol at a point in time: the current (or last) session's bars so far
+  snapshot(symbol, at = this.now()) {
+    const symbolKey = symbol.toUpperCase();
+    const series = this.getSeries(symbolKey, getZonedDate(at));
+    const { days, profile } = series;
+
+    let index = days.length - 1;
+    let bars = this.getMinuteBars(symbolKey, days[index], profile);
+
+    // Before today's open the last session is still the latest data
+    if (at < bars[0].date && index > 0) {
+      index -= 1;
+      bars = this.getMinuteBars(symbolKey, days[index], profile);
+    }
+
+    const elapsed = Math.floor((at - bars[0].date) / 60000) + 1;
+    const sessionBars = bars.slice(0, Math.min(Math.max(elapsed, 1), MINUTES_PER_DAY));
+
+    return {
+      profile,
+      days: days.slice(0, index + 1),
+      day: days[index],
+      bars: sessionBars,
+      complete: sessionBars.length === MINUTES_PER_DAY
+    };
+  }
+
+  async quote(symbol) {
+    const { profile, day, bars } = this.snapshot(symbol);
+    const session = mergeBars(bars);
+    const change = session.close - day.previousClose;
+
+    return {
+      symbol: profile.symbol,
+      currentPrice: {
+        price: session.close,
+        change: round(change),
+        changePercent: round((change / day.previousClose) * 100),
+        lastUpdated: new Date()
+      },
+      dailyData: {
+        open: day.open,
+        high: session.high,
+        low: session.low,
+        close: session.close,
+        volume: session.volume,
+        previousClose: day.previousClose,
+        date: zonedTimeToDate(`${day.date} 00:00:00`)
+      },
+      dataSource: this.sourceName
+    };
+  }
+
+  async search(query) {
+    const term = query.toUpperCase();
+
+    return this.config.symbols
+      .map(symbol => this.getProfile(symbol))
+      .filter(profile => profile.symbol.includes(term) || profile.companyName.toUpperCase().includes(term))
+      .map(profile => ({
+        symbol: profile.symbol,
+        companyName: profile.companyName,
+        type: 'Equity',
+        exchange: profile.exchange,
+        currency: 'USD'
+      }));
+  }
+
+  async overview(symbol) {
+    const { profile, days, bars } = this.snapshot(symbol);
+    const price = bars[bars.length - 1].close;
+
+    // 52-week and 3-month windows over completed sessions
+    const year = days.slice(-252).map(day => this.getDailyBar(profile.symbol, day, profile));
+    const quarter = days.slice(-63);
+
+    return {
+      symbol: profile.symbol,
+      companyName: profile.companyName,
+      exchange: profile.exchange,
+      currency: 'USD',
+      companyInfo: {
+        sector: profile.sector,
+        industry: profile.industry,
+        description: `${profile.companyName} is a simulated company used for offline development.`
+      },
+      historicalSummary: {
+        week52High: Math.max(...year.map(bar => bar.high)),
+        week52Low: Math.min(...year.map(bar => bar.low)),
+        marketCap: Math.round(price * profile.sharesOutstanding),
+        peRatio: round(price / profile.eps),
+        dividendYield: profile.dividendYield,
+        avgVolume: Math.round(quarter.reduce((sum, day) => sum + day.volume, 0) / quarter.length)
+      },
+      financials: {
+        eps: round(profile.eps)
+      },
+      dataSource: this.sourceName
+    };
+  }
+
+  // outputSize 'compact' returns the latest 100 daily bars or one session of
+  // intraday bars, 'full' returns the whole series or the last five sessions
+  async history(symbol, { interval = '1d', outputSize = 'compact' } = {}) {
+    const { profile, days, bars, complete } = this.snapshot(symbol);
+    const full = outputSize === 'full';
+
+    if (INTRADAY_INTERVALS[interval]) {
+      const size = INTRADAY_INTERVALS[interval];
+      const sessions = full ? days.slice(-5) : days.slice(-1);
+
+      return sessions.flatMap((day, i) => {
+        const isCurrent = i === sessions.length - 1;
+        const minutes = isCurrent ? bars : this.getMinuteBars(profile.symbol, day, profile);
+        return groupBars(minutes, bar => Math.floor((bar.date - minutes[0].date) / (size * 60000)));
+      });
+    }
+
+    const dailyBars = (full ? days : days.slice(-100)).map(day => this.getDailyBar(profile.symbol, day, profile));
+
+    // Show the current session as it stands so far
+    if (!complete && dailyBars.length > 0) {
+      dailyBars[dailyBars.length - 1] = { ...mergeBars(bars), date: dailyBars[dailyBars.length - 1].date };
+    }
+
+    if (interval === '1d') return dailyBars;
+
+    if (interval === '1w') {
+      return groupBars(dailyBars, bar => {
+        const date = getZonedDate(bar.date);
+        return addDays(date, -((weekdayOf(date) + 6) % 7));
+      });
+    }
+
+    if (interval === '1mo') {
+      return groupBars(dailyBars, bar => getZonedDate(bar.date).slice(0, 7));
+    }
+
+    throw new ProviderError(`Unsupported interval: ${interval}`, {
+      provider: this.name,
+      code: 'UNSUPPORTED',
+      statusCode: 400
+    });
+  }
+
+  // Headlines generated for gap opens and large moves in recent sessions
+  async news(symbol, { limit = 10 } = {}) {
+    const { profile, days } = this.snapshot(symbol);
+    const articles = [];
+
+    for (let i = days.length - 1; i >= 0 && i >= days.length - 60 && articles.length < limit; i--) {
+      const day = days[i];
+      const changePercent = ((day.close - day.previousClose) / day.previousClose) * 100;
+
+      if (!day.gapped && Math.abs(changePercent) < 2) continue;
+
+      const direction = changePercent >= 0 ? 'up' : 'down';
+      const headline = day.gapped
+        ? `${profile.companyName} gaps ${direction} at the open`
+        : `${profile.companyName} shares ${direction === 'up' ? 'rally' : 'slide'} ${Math.abs(changePercent).toFixed(1)}%`;
+
+      articles.push({
+        headline,
+        source: 'Market Simulator',
+        url: null,
+        summary: `${profile.symbol} closed at ${day.close.toFixed(2)}, ${changePercent >= 0 ? '+' : ''}${changePercent.toFixed(2)}% on the session in a ${day.regime} market.`,
+        publishedAt: zonedTimeToDate(`${day.date} ${day.gapped ? '08:00' : '16:05'}:00`),
+        sentiment: changePercent >= 0 ? 'positive' : 'negative'
+      });
+    }
+
+    return articles;
+  }
+}
+
+export default SimulatedProvider;
@@ -0,0 +1,158 @@
+import { MarketDataProvider, ProviderError, normalizeExchange, toNumber } from './baseProvider.js';
+
+// Map our interval names onto Yahoo history intervals
+const INTERVALS = {
+  '1m': '1m',
+  '5m': '5m',
+  '15m': '15m',
+  '1h': '1h',
+  '1d': '1d',
+  '1w': '1wk',
+  '1mo': '1mo'
+};
+
+export class YahooFinanceProvider extends MarketDataProvider {
+  constructor() {
+    super('yahooFinance', {
+      sourceName: 'yahoo_finance',
+      capabilities: ['quote', 'search', 'overview', 'history', 'news']
+    });
+  }
+
+  getHeaders() {
+    return {
+      'X-RapidAPI-Key': this.config.apiKey,
+      'X-RapidAPI-Host': this.config.host
+    };
+  }
+
+  buildUrl(endpoint, path, params = {}) {
+    const query = new URLSearchParams(params).toString();
+    return `${this.config.baseUrl}${this.config.endpoints[endpoint]}${encodeURIComponent(path)}${query ? `?${query}` : ''}`;
+  }
+
+  async fetchQuote(symbol) {
+    const data = await this.request(this.buildUrl('quote', symbol));
+
+    if (!data || toNumber(data.regularMarketPrice) === null) {
+      throw new ProviderError(`No quote data for ${symbol}`, {
+        provider: this.name,
+        code: 'NOT_FOUND',
+        statusCode: 404
+      });
+    }
+
+    return data;
+  }
+
+  async quote(symbol) {
+    const data = await this.fetchQuote(symbol);
+    const price = toNumber(data.regularMarketPrice);
+
+    return {
+      symbol: data.symbol || symbol,
+      currentPrice: {
+        price,
+        change: toNumber(data.regularMarketChange),
+        changePercent: toNumber(data.regularMarketChangePercent),
+        lastUpdated: new Date()
+      },
+      dailyData: {
+        open: toNumber(data.regularMarketOpen),
+        high: toNumber(data.regularMarketDayHigh),
+        low: toNumber(data.regularMarketDayLow),
+        close: price,
+        volume: toNumber(data.regularMarketVolume),
+        previousClose: toNumber(data.regularMarketPreviousClose),
+        date: data.regularMarketTime ? new Date(toNumber(data.regularMarketTime) * 1000) : new Date()
+      },
+      dataSource: this.sourceName
+    };
+  }
+
+  async search(query) {
+    const data = await this.request(this.buildUrl('search', query));
+
+    return (data.quotes || [])
+      .filter(item => item.symbol)
+      .map(item => ({
+        symbol: item.symbol,
+        companyName: item.longname || item.shortname || item.symbol,
+        type: item.quoteType,
+        exchange: item.exchDisp || item.exchange,
+        currency: item.currency || 'USD'
+      }));
+  }
+
+  // Yahoo has no separate overview call here, the quote carries the summary fields
+  async overview(symbol) {
+    const data = await this.fetchQuote(symbol);
+    const dividendYield = toNumber(data.trailingAnnualDividendYield);
+
+    return {
+      symbol: data.symbol || symbol,
+      companyName: data.longName || data.shortName || symbol,
+      exchange: normalizeExchange(data.fullExchangeName || data.exchange),
+      currency: data.currency || 'USD',
+      companyInfo: {},
+      historicalSummary: {
+        week52High: toNumber(data.fiftyTwoWeekHigh),
+        week52Low: toNumber(data.fiftyTwoWeekLow),
+        marketCap: toNumber(data.marketCap),
+        peRatio: toNumber(data.trailingPE),
+        dividendYield: dividendYield === null ? null : dividendYield * 100,
+        avgVolume: toNumber(data.averageDailyVolume3Month)
+      },
+      financials: {
+        eps: toNumber(data.epsTrailingTwelveMonths)
+      },
+      dataSource: this.sourceName
+    };
+  }
+
+  async history(symbol, { interval = '1d', range } = {}) {
+    if (!INTERVALS[interval]) {
+      throw new ProviderError(`Unsupported interval: ${interval}`, {
+        provider: this.name,
+        code: 'UNSUPPORTED',
+        statusCode: 400
+      });
+    }
+
+    const params = { interval: INTERVALS[interval] };
+    if (range) params.range = range;
+
+    const data = await this.request(this.buildUrl('history', symbol, params));
+
+    // Items arrive keyed by unix timestamp
+    const items = Array.isArray(data.items) ? data.items : Object.values(data.items || {});
+
+    return items
+      .map(item => ({
+        date: item.date_utc ? new Date(item.date_utc * 1000) : new Date(item.date),
+        open: toNumber(item.open),
+        high: toNumber(item.high),
+        low: toNumber(item.low),
+        close: toNumber(item.close),
+        volume: toNumber(item.volume)
+      }))
+      .filter(bar => bar.close !== null)
+      .sort((a, b) => a.date - b.date);
+  }
+
+  // News comes back alongside search results
+  async news(symbol, { limit = 10 } = {}) {
+    const data = await this.request(this.buildUrl('search', symbol));
+
+    return (data.news || []).slice(0, limit).map(item => ({
+      headline: item.title,
+      source: item.publisher,
+      url: item.link,
+      summary: item.summary?.slice(0, 500),
+      publishedAt: item.providerPublishTime ? new Date(item.providerPublishTime * 1000) : new Date(),
+      sentiment: 'neutral'
+    }));
+  }
+}
+
+export default YahooFinanceProvider;
@@ -0,0 +1,216 @@
+import Stock from '../models/Stock.js';
+import { apiUtils } from '../config/stockApi.js';
+import {
+  ProviderError,
+  getBreaker,
+  getFailoverChain,
+  getProviderHealth
+} from './providers/index.js';
+import { requestScheduler, REQUEST_PRIORITIES } from './providers/requestScheduler.js';
+import { logger } from '../middleware/logger.js';
+
+// Errors that describe the request rather than provider health
+const NON_TRIPPING_CODES = ['NOT_FOUND', 'UNSUPPORTED'];
+
+// Errors raised by our own request budget before the provider was called
+const BUDGET_CODES = ['QUOTA_EXHAUSTED', 'QUEUE_TIMEOUT'];
+
+// Flatten a normalized quote into the shape Stock.updateBulkPrices expects
+export const toPriceUpdate = (quote) => ({
+  symbol: quote.symbol,
+  price: quote.currentPrice.price,
+  change: quote.currentPrice.change,
+  changePercent: quote.currentPrice.changePercent,
+  open: quote.dailyData.open,
+  high: quote.dailyData.high,
+  low: quote.dailyData.low,
+  volume: quote.dailyData.volume,
+  previousClose: quote.dailyData.previousClose
+});
+
+// Market data facade over the provider adapters
+export class StockDataService {
+  // Run a provider method, failing over along the provider chain.
+  // options.priority orders the call in each provider's request queue.
+  async call(method, args = [], { priority = REQUEST_PRIORITIES.HIGH } = {}) {
+    const chain = getFailoverChain(method);
+    const attempts = [];
+
+    if (chain.length === 0) {
+      throw new ProviderError(`No configured stock API provider supports ${method}`, {
+        code: 'UNSUPPORTED',
+        statusCode: 501
+      });
+    }
+
+    for (const provider of chain) {
+      const breaker = getBreaker(provider.name);
+      const cost = provider.getCost(method);
+
+      if (!requestScheduler.hasQuota(provider.name, cost)) {
+        attempts.push({ provider: provider.name, code: 'QUOTA_EXHAUSTED', error: 'quota exhausted' });
+        continue;
+      }
+
+      if (!breaker.canRequest()) {
+        attempts.push({ provider: provider.name, error: 'circuit open' });
+        continue;
+      }
+
+      try {
+        const result = await requestScheduler.schedule(
+          provider.name,
+          () => provider[method](...args),
+          { priority, cost }
+        );
+        breaker.recordSuccess();
+
+        if (attempts.length > 0) {
+          logger.warn('Stock API failover', { method, provider: provider.name, attempts });
+        }
+
+        return result;
+      } catch (error) {
+        attempts.push({ provider: provider.name, code: error.code, error: error.message });
+
+        if (BUDGET_CODES.includes(error.code)) {
+          // The provider was never called, just hand back a half-open trial
+          breaker.releaseTrial();
+        } else if (NON_TRIPPING_CODES.includes(error.code)) {
+          // The provider answered, so release a half-open trial without counting a failure
+          breaker.recordSuccess();
+        } else {
+          breaker.recordFailure(error);
+        }
+      }
+    }
+
+    const allOpen = attempts.every(attempt => attempt.error === 'circuit open');
+    const allThrottled = attempts.every(attempt => BUDGET_CODES.includes(attempt.code));
+    const notFound = attempts.some(attempt => attempt.code === 'NOT_FOUND');
+    let error;
+
+    if (allThrottled) {
+      error = new ProviderError(`Stock API request budget exhausted for ${method}`, {
+        code: 'RATE_LIMITED',
+        statusCode: 429
+      });
+    } else {
+      error = new ProviderError(
+        allOpen
+          ? `All stock API providers are unavailable for ${method}`
+          : `All stock API providers failed for ${method}`,
+        {
+          code: allOpen ? 'ALL_PROVIDERS_UNAVAILABLE' : notFound ? 'NOT_FOUND' : 'ALL_PROVIDERS_FAILED',
+          statusCode: allOpen ? 503 : notFound ? 404 : 502
+        }
+      );
+    }
+    error.attempts = attempts;
+    throw error;
+  }
+
+  // Provider availability, circuit breaker state and remaining request quota
+  getProviderHealth() {
+    return getProviderHealth().map(health => ({
+      ...health,
+      quota: requestScheduler.getQuota(health.name)
+    }));
+  }
+
+  // Restore persisted request counters, call once the database is connected
+  async loadUsage() {
+    await requestScheduler.loadUsage(getProviderHealth().map(health => health.name));
+  }
+
+  // Get the latest quote for a symbol
+  async getQuote(symbol, { priority } = {}) {
+    return this.call('quote', [apiUtils.formatSymbol(symbol)], { priority });
+  }
+
+  // Get company overview and summary statistics
+  async getOverview(symbol, { priority } = {}) {
+    return this.call('overview', [apiUtils.formatSymbol(symbol)], { priority });
+  }
+
+  // Search symbols and company names
+  async search(query, { priority } = {}) {
+    return this.call('search', [query.trim()], { priority });
+  }
+
+  // Get OHLCV history, options: { interval, outputSize, range, priority }
+  async getHistory(symbol, { priority, ...options } = {}) {
+    return this.call('history', [apiUtils.formatSymbol(symbol), options], { priority });
+  }
+
+  // Get recent news articles, options: { limit, priority }
+  async getNews(symbol, { priority, ...options } = {}) {
+    return this.call('news', [apiUtils.formatSymbol(symbol), options], { priority });
+  }
+
+  // Fetch quotes for several symbols, collecting failures instead of throwing
+  async fetchQuotes(symbols, { priority } = {}) {
+    const results = await Promise.allSettled(symbols.map(symbol => this.getQuote(symbol, { priority })));
+
+    const quotes = [];
+    const failed = [];
+
+    results.forEach((result, index) => {
+      if (result.status === 'fulfilled') {
+        quotes.push(result.value);
+      } else {
+        failed.push({ symbol: symbols[index], error: result.reason.message });
+      }
+    });
+
+    return { quotes, failed };
+  }
+}
+
+// Shared instance used by controllers and jobs
+export const stockDataService = new StockDataService();
+
+// Copy normalized overview data onto a stock
+export const applyOverview = (stock, overview, quote) => {
+  stock.companyInfo = {
+    ...stock.companyInfo,
+    ...overview.companyInfo
+  };
+
+  // The 52-week range is derived from stored daily bars, not taken from the provider
+  const { week52High, week52Low, ...summary } = overview.historicalSummary;
+
+  stock.historicalSummary = {
+    ...summary,
+    week52High: stock.historicalSummary?.week52High,
+    week52Low: stock.historicalSummary?.week52Low,
+    avgVolume: summary.avgVolume ?? quote.dailyData.volume
+  };
+
+  stock.financials = {
+    ...stock.financials,
+    ...overview.financials
+  };
+};
+
+// Build an unsaved record for a stock seen for the first time, from its quote and the company
+// overview when one could be fetched
+export const createStockRecord = (quote, overview = null) => {
+  const stock = new Stock({
+    symbol: quote.symbol,
+    companyName: overview?.companyName || quote.symbol,
+    exchange: overview?.exchange || 'NASDAQ',
+    currency: overview?.currency || 'USD',
+    currentPrice: quote.currentPrice,
+    dailyData: quote.dailyData,
+    dataSource: quote.dataSource
+  });
+
+  if (overview) {
+    applyOverview(stock, overview, quote);
+  }
+
+  return stock;
+};
+
+export default stockDataService;
@@ -0,0 +1,101 @@
+import PriceTick from '../models/PriceTick.js';
+import { onQuote } from './marketEvents.js';
+import { getStockApiConfig } from '../config/stockApi.js';
+import { logger } from '../middleware/logger.js';
+
+// Recorder state
+let unsubscribe = null;
+let flushTimer = null;
+let buffer = [];
+let recorded = 0;
+
+// Last session volume seen per symbol, used to turn cumulative volume into tick volume
+const lastVolumes = new Map();
+
+// Turn a published quote into a tick
+const toTick = (quote) => {
+  const dayVolume = quote.volume ?? null;
+  const previous = lastVolumes.get(quote.symbol);
+
+  // A drop in session volume means a new session started
+  const volume = dayVolume !== null && previous !== undefined && dayVolume >= previous
+    ? dayVolume - previous
+    : 0;
+
+  if (dayVolume !== null) {
+    lastVolumes.set(quote.symbol, dayVolume);
+  }
+
+  return {
+    symbol: quote.symbol,
+    price: quote.price,
+    volume,
+    dayVolume,
+    timestamp: new Date(quote.lastUpdated || Date.now())
+  };
+};
+
+const handleQuote = (quote) => {
+  if (quote.price === null || quote.price === undefined) return;
+  buffer.push(toTick(quote));
+};
+
+// Write buffered ticks in one batch
+export const flushTicks = async () => {
+  if (buffer.length === 0) return 0;
+
+  const ticks = buffer;
+  buffer = [];
+
+  try {
+    await PriceTick.insertMany(ticks, { ordered: false });
+    recorded += ticks.length;
+    return ticks.length;
+  } catch (error) {
+    logger.error('Failed to record price ticks:', error);
+    return 0;
+  }
+};
+
+// Start capturing every quote published on the market event bus
+export const startTickRecorder = () => {
+  const config = getStockApiConfig().ticks;
+
+  if (!config.enabled || unsubscribe) return;
+
+  unsubscribe = onQuote(handleQuote);
+  flushTimer = setInterval(() => {
+    flushTicks();
+  }, config.flushInterval);
+
+  logger.info('Tick recorder started', { flushInterval: config.flushInterval });
+};
+
+// Stop capturing quotes and write what is left in the buffer
+export const stopTickRecorder = async () => {
+  if (unsubscribe) {
+    unsubscribe();
+    unsubscribe = null;
+  }
+
+  if (flushTimer) {
+    clearInterval(flushTimer);
+    flushTimer = null;
+  }
+
+  await flushTicks();
+};
+
+// Get recorder status for health checks
+export const getTickRecorderStatus = () => ({
+  enabled: !!unsubscribe,
+  buffered: buffer.length,
+  recorded
+});
+
+export default {
+  flushTicks,
+  startTickRecorder,
+  stopTickRecorder,
+  getTickRecorderStatus
+};